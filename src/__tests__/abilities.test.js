@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { cache } = require('../services/pokeapi');
+
+jest.mock('axios');
+
+const abilityUrl = (id) => `https://pokeapi.co/api/v2/ability/${id}/`;
+const pokemonUrl = (id) => `https://pokeapi.co/api/v2/pokemon/${id}/`;
+
+const mockIndex = {
+  results: [
+    { name: 'stench', url: abilityUrl(1) },
+    { name: 'static', url: abilityUrl(9) },
+    { name: 'overgrow', url: abilityUrl(65) },
+    { name: 'lightning-rod', url: abilityUrl(31) }
+  ]
+};
+
+const mockAbility = (id, name, extra = {}) => ({
+  id,
+  name,
+  generation: { name: 'generation-iii' },
+  names: [{ language: { name: 'en' }, name: name[0].toUpperCase() + name.slice(1) }],
+  effect_entries: [{ language: { name: 'en' }, effect: `${name} effect`, short_effect: `${name} short` }],
+  flavor_text_entries: [{ language: { name: 'en' }, flavor_text: `${name}\nflavor` }],
+  pokemon: [],
+  ...extra
+});
+
+const mockAbilities = {
+  stench: mockAbility(1, 'stench'),
+  overgrow: mockAbility(65, 'overgrow'),
+  'lightning-rod': mockAbility(31, 'lightning-rod'),
+  static: mockAbility(9, 'static', {
+    names: [
+      { language: { name: 'en' }, name: 'Static' },
+      { language: { name: 'de' }, name: 'Statik' }
+    ],
+    effect_entries: [
+      { language: { name: 'en' }, effect: 'Whenever a move makes contact with this Pokémon, the move\'s user has a 30% chance of being paralyzed.', short_effect: 'Has a 30% chance of paralyzing attacking Pokémon on contact.' },
+      { language: { name: 'de' }, effect: 'Wenn eine Attacke...', short_effect: 'Kann bei Berührung paralysieren.' }
+    ],
+    flavor_text_entries: [
+      { language: { name: 'en' }, flavor_text: 'Contact with the Pokémon\nmay cause paralysis.' }
+    ],
+    pokemon: [
+      { is_hidden: false, slot: 1, pokemon: { name: 'pikachu', url: pokemonUrl(25) } },
+      { is_hidden: true, slot: 3, pokemon: { name: 'electrike', url: pokemonUrl(309) } }
+    ]
+  })
+};
+
+describe('Ability Routes', () => {
+  let authToken;
+
+  beforeAll(async () => {
+    const credentials = { username: 'misty', password: 'starmie-123' };
+    await request(app).post('/api/auth/register').send(credentials);
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    authToken = res.body.data.token;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    axios.get.mockImplementation((url) => {
+      if (url.endsWith('/ability?limit=1000')) {
+        return Promise.resolve({ data: mockIndex });
+      }
+      const ability = url.match(/\/ability\/([a-z0-9-]+)$/);
+      if (ability && mockAbilities[ability[1]]) {
+        return Promise.resolve({ data: mockAbilities[ability[1]] });
+      }
+      return Promise.reject({ message: 'Not found', response: { status: 404 } });
+    });
+  });
+
+  describe('GET /api/abilities', () => {
+    it('should return a paginated list', async () => {
+      const res = await request(app)
+        .get('/api/abilities?limit=2')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results).toEqual([
+        { id: 1, name: 'stench', displayName: 'Stench', shortEffect: 'stench short', generation: 'generation-iii' },
+        {
+          id: 9,
+          name: 'static',
+          displayName: 'Static',
+          shortEffect: 'Has a 30% chance of paralyzing attacking Pokémon on contact.',
+          generation: 'generation-iii'
+        }
+      ]);
+      expect(res.body.data.pagination).toEqual({ total: 4, limit: 2, offset: 0, hasNext: true, hasPrev: false });
+    });
+
+    it('should search by name with typos', async () => {
+      const res = await request(app)
+        .get('/api/abilities?search=lightning rod,overgow')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.body.data.results.map(a => a.name)).toEqual(['lightning-rod', 'overgrow']);
+      expect(res.body.data.pagination.total).toBe(2);
+    });
+
+    it('should localize names and effects', async () => {
+      const res = await request(app)
+        .get('/api/abilities?search=static&lang=de')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.body.data.language).toBe('de');
+      expect(res.body.data.results[0]).toMatchObject({
+        displayName: 'Statik',
+        shortEffect: 'Kann bei Berührung paralysieren.'
+      });
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/api/abilities');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/abilities/:name', () => {
+    it('should return effect text and the pokemon with the ability', async () => {
+      const res = await request(app)
+        .get('/api/abilities/static')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        id: 9,
+        name: 'static',
+        generation: 'generation-iii',
+        displayName: 'Static',
+        effect: 'Whenever a move makes contact with this Pokémon, the move\'s user has a 30% chance of being paralyzed.',
+        shortEffect: 'Has a 30% chance of paralyzing attacking Pokémon on contact.',
+        flavorText: 'Contact with the Pokémon may cause paralysis.',
+        language: 'en',
+        languageFallbacks: [],
+        pokemon: [
+          { id: 25, name: 'pikachu', isHidden: false },
+          { id: 309, name: 'electrike', isHidden: true }
+        ]
+      });
+    });
+
+    it('should fall back to English for missing translations', async () => {
+      const res = await request(app)
+        .get('/api/abilities/static')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Accept-Language', 'de-DE');
+
+      expect(res.headers['content-language']).toBe('de');
+      expect(res.body.data).toMatchObject({
+        displayName: 'Statik',
+        flavorText: 'Contact with the Pokémon may cause paralysis.',
+        languageFallbacks: ['flavorText']
+      });
+    });
+
+    it('should cache abilities', async () => {
+      await request(app).get('/api/abilities/static').set('Authorization', `Bearer ${authToken}`);
+      await request(app).get('/api/abilities/static?lang=de').set('Authorization', `Bearer ${authToken}`);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for unknown abilities', async () => {
+      const res = await request(app)
+        .get('/api/abilities/telekinesis-plus')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Ability not found');
+    });
+
+    it('should reject invalid names', async () => {
+      const res = await request(app)
+        .get('/api/abilities/static%20shock')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
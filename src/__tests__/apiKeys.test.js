@@ -0,0 +1,239 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { __users, findByUsername, updateUser } = require('../services/users');
+const { __apiKeys } = require('../services/apiKeys');
+
+jest.mock('axios');
+
+describe('API Key Routes', () => {
+  const trainer = { username: 'ash', password: 'pikachu-123' };
+  let token;
+
+  const createKey = (body, authToken = token) => request(app)
+    .post('/api/auth/api-keys')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  beforeAll(async () => {
+    __users.clear();
+    await request(app).post('/api/auth/register').send(trainer);
+    const res = await request(app).post('/api/auth/login').send(trainer);
+    token = res.body.data.token;
+  });
+
+  beforeEach(() => {
+    __apiKeys.clear();
+  });
+
+  describe('POST /api/auth/api-keys', () => {
+    it('should create a key and store only its hash', async () => {
+      const res = await createKey({ name: 'batch-job' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.key).toMatch(/^pk_/);
+      expect(res.body.data.apiKey.name).toBe('batch-job');
+      expect(res.body.data.apiKey.scopes).toEqual(['pokemon:read']);
+      expect(res.body.data.apiKey.expiresAt).toBeNull();
+
+      const stored = __apiKeys.get(res.body.data.apiKey.id);
+      expect(JSON.stringify(stored)).not.toContain(res.body.data.key);
+      expect(res.body.data.apiKey.keyHash).toBeUndefined();
+    });
+
+    it('should accept an expiry date', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const res = await createKey({ name: 'temporary', expiresAt });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.apiKey.expiresAt).toBe(expiresAt);
+    });
+
+    it('should reject an expiry date in the past', async () => {
+      const res = await createKey({ name: 'expired', expiresAt: '2020-01-01T00:00:00.000Z' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject scopes the user does not have', async () => {
+      const res = await createKey({ name: 'sneaky', scopes: ['users:read'] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not allow keys to manage keys', async () => {
+      const res = await createKey({ name: 'sneaky', scopes: ['api-keys:manage'] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should require a name', async () => {
+      const res = await createKey({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should not be reachable with an API key', async () => {
+      const { body } = await createKey({ name: 'batch-job' });
+
+      const res = await request(app)
+        .post('/api/auth/api-keys')
+        .set('X-API-Key', body.data.key)
+        .send({ name: 'child' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/auth/api-keys', () => {
+    it('should list the user keys without key values', async () => {
+      await createKey({ name: 'one' });
+      await createKey({ name: 'two' });
+
+      const res = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results.map(k => k.name)).toEqual(['one', 'two']);
+      expect(res.body.data.results[0].key).toBeUndefined();
+      expect(res.body.data.results[0].active).toBe(true);
+    });
+
+    it('should not list keys of other users', async () => {
+      await createKey({ name: 'mine' });
+      const other = { username: 'gary', password: 'eevee-1234' };
+      await request(app).post('/api/auth/register').send(other);
+      const login = await request(app).post('/api/auth/login').send(other);
+
+      const res = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${login.body.data.token}`);
+
+      expect(res.body.data.results).toHaveLength(0);
+    });
+  });
+
+  describe('DELETE /api/auth/api-keys/:id', () => {
+    it('should revoke a key', async () => {
+      const { body } = await createKey({ name: 'batch-job' });
+
+      const res = await request(app)
+        .delete(`/api/auth/api-keys/${body.data.apiKey.id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+
+      const use = await request(app)
+        .get('/api/pokemons/number/1')
+        .set('X-API-Key', body.data.key);
+      expect(use.status).toBe(401);
+    });
+
+    it('should return 404 for unknown keys', async () => {
+      const res = await request(app)
+        .delete('/api/auth/api-keys/missing')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('X-API-Key authentication', () => {
+    const mockList = {
+      data: { results: [{ name: 'bulbasaur', url: 'https://pokeapi.co/api/v2/pokemon/1/' }] }
+    };
+    const mockBulbasaur = {
+      data: {
+        id: 1,
+        name: 'bulbasaur',
+        sprites: { front_default: null, other: { 'official-artwork': { front_default: 'art.png' } } },
+        types: [{ type: { name: 'grass' } }]
+      }
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => Promise.resolve(
+        url.includes('limit=1500') ? mockList : mockBulbasaur
+      ));
+    });
+
+    it('should allow access to /api/pokemons', async () => {
+      const { body } = await createKey({ name: 'batch-job' });
+
+      const res = await request(app)
+        .get('/api/pokemons')
+        .set('X-API-Key', body.data.key);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results[0].name).toBe('bulbasaur');
+
+      const listed = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${token}`);
+      expect(listed.body.data.results[0].lastUsedAt).not.toBeNull();
+    });
+
+    it('should reject unknown keys', async () => {
+      const res = await request(app)
+        .get('/api/pokemons')
+        .set('X-API-Key', 'pk_unknown');
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid or expired API key');
+    });
+
+    it('should reject expired keys', async () => {
+      const { body } = await createKey({
+        name: 'short-lived',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+      const record = __apiKeys.get(body.data.apiKey.id);
+      __apiKeys.set(record.id, { ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      const res = await request(app)
+        .get('/api/pokemons')
+        .set('X-API-Key', body.data.key);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should limit access to the key scopes', async () => {
+      const admin = { username: 'oak', password: 'professor-oak' };
+      await request(app).post('/api/auth/register').send(admin);
+      updateUser(findByUsername('oak').id, { role: 'admin' });
+      const login = await request(app).post('/api/auth/login').send(admin);
+      const { body } = await createKey({ name: 'reader' }, login.body.data.token);
+
+      const allowed = await request(app)
+        .get('/api/pokemons')
+        .set('X-API-Key', body.data.key);
+      expect(allowed.status).toBe(200);
+
+      const denied = await request(app)
+        .delete('/api/pokemons/cache')
+        .set('X-API-Key', body.data.key);
+      expect(denied.status).toBe(403);
+    });
+
+    it('should not let a key sign its owner out', async () => {
+      const { body } = await createKey({ name: 'batch-job' });
+
+      const logoutAll = await request(app)
+        .post('/api/auth/logout-all')
+        .set('X-API-Key', body.data.key);
+      const logout = await request(app)
+        .post('/api/auth/logout')
+        .set('X-API-Key', body.data.key);
+
+      expect(logoutAll.status).toBe(403);
+      expect(logout.status).toBe(403);
+
+      const verify = await request(app)
+        .post('/api/auth/verify')
+        .send({ token });
+      expect(verify.status).toBe(200);
+    });
+  });
+});
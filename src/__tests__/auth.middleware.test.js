@@ -1,5 +1,8 @@
 const { authMiddleware } = require('../middleware/auth');
 const jwt = require('jsonwebtoken');
+const { createApiKey, revokeApiKey } = require('../services/apiKeys');
+const { __users } = require('../services/users');
+const { getActiveSigningKey } = require('../services/signingKeys');
 
 jest.mock('jsonwebtoken');
 
@@ -15,6 +18,7 @@ describe('Auth Middleware', () => {
       json: jest.fn()
     };
     next = jest.fn();
+    jwt.decode.mockReturnValue({ header: { kid: getActiveSigningKey(900).id } });
   });
 
   it('should call next() with valid token', () => {
@@ -23,7 +27,7 @@ describe('Auth Middleware', () => {
 
     authMiddleware(req, res, next);
 
-    expect(jwt.verify).toHaveBeenCalledWith('valid-token', expect.any(String));
+    expect(jwt.verify).toHaveBeenCalledWith('valid-token', expect.any(String), { algorithms: ['RS256'] });
     expect(req.user).toEqual({ username: 'admin' });
     expect(next).toHaveBeenCalled();
     expect(res.status).not.toHaveBeenCalled();
@@ -71,14 +75,68 @@ describe('Auth Middleware', () => {
     expect(next).not.toHaveBeenCalled();
   });
 
+  it('should return 401 if the signing key is unknown', () => {
+    req.headers.authorization = 'Bearer foreign-token';
+    jwt.decode.mockReturnValue({ header: { kid: 'unknown-kid' } });
+
+    authMiddleware(req, res, next);
+
+    expect(jwt.verify).not.toHaveBeenCalledWith('foreign-token', expect.anything(), expect.anything());
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
   it('should extract token correctly from Bearer header', () => {
     req.headers.authorization = 'Bearer my-token-123';
     jwt.verify.mockReturnValue({ username: 'admin' });
 
     authMiddleware(req, res, next);
 
-    expect(jwt.verify).toHaveBeenCalledWith('my-token-123', expect.any(String));
+    expect(jwt.verify).toHaveBeenCalledWith('my-token-123', expect.any(String), { algorithms: ['RS256'] });
     expect(next).toHaveBeenCalled();
   });
-});
 
+  describe('X-API-Key', () => {
+    beforeEach(() => {
+      __users.set('user-1', { id: 'user-1', username: 'ash', role: 'user' });
+    });
+
+    it('should set req.user from a valid key', () => {
+      const { key, record } = createApiKey('user-1', { name: 'job', scopes: ['pokemon:read'] });
+      req.headers['x-api-key'] = key;
+
+      authMiddleware(req, res, next);
+
+      expect(req.user).toEqual({
+        sub: 'user-1',
+        username: 'ash',
+        role: 'user',
+        scopes: ['pokemon:read'],
+        keyId: record.id
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 401 for a revoked key', () => {
+      const { key, record } = createApiKey('user-1', { name: 'job', scopes: ['pokemon:read'] });
+      revokeApiKey('user-1', record.id);
+      req.headers['x-api-key'] = key;
+
+      authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the Authorization header', () => {
+      req.headers.authorization = 'Bearer valid-token';
+      req.headers['x-api-key'] = 'pk_ignored';
+      jwt.verify.mockReturnValue({ username: 'admin' });
+
+      authMiddleware(req, res, next);
+
+      expect(req.user).toEqual({ username: 'admin' });
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -1,12 +1,88 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const app = require('../index');
+const { __users } = require('../services/users');
+const { loginThrottle } = require('../services/loginThrottle');
+
+const credentials = { username: 'admin', password: 'admin-password' };
 
 describe('Auth Routes', () => {
+  beforeAll(async () => {
+    __users.clear();
+    await request(app).post('/api/auth/register').send(credentials);
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create a new user', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'misty', password: 'starmie-123' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.user.id).toBeDefined();
+      expect(res.body.data.user.username).toBe('misty');
+      expect(res.body.data.user.passwordHash).toBeUndefined();
+    });
+
+    it('should store a salted hash instead of the password', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'brock', password: 'onix-1234' });
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'tracey', password: 'onix-1234' });
+
+      const brock = __users.find(u => u.username === 'brock');
+      const tracey = __users.find(u => u.username === 'tracey');
+      expect(brock.passwordHash).not.toContain('onix-1234');
+      expect(brock.passwordHash).toMatch(/^scrypt\$/);
+      expect(brock.passwordHash).not.toBe(tracey.passwordHash);
+    });
+
+    it('should reject a taken username regardless of case', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'ADMIN', password: 'another-password' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.success).toBe(false);
+      expect(res.body.error).toBe('Username is already taken');
+    });
+
+    it('should reject short passwords', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'gary', password: 'short' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject invalid usernames', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'a b', password: 'long-enough' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject missing fields', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'gary' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Username and password are required');
+    });
+  });
+
   describe('POST /api/auth/login', () => {
     it('should return token with valid credentials', async () => {
       const res = await request(app)
         .post('/api/auth/login')
-        .send({ username: 'admin', password: 'admin' });
+        .send(credentials);
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -14,10 +90,28 @@ describe('Auth Routes', () => {
       expect(res.body.data.user.username).toBe('admin');
     });
 
+    it('should carry a stable user id in the token', async () => {
+      const first = await request(app).post('/api/auth/login').send(credentials);
+      const second = await request(app).post('/api/auth/login').send(credentials);
+
+      const firstId = jwt.decode(first.body.data.token).sub;
+      expect(firstId).toBe(first.body.data.user.id);
+      expect(jwt.decode(second.body.data.token).sub).toBe(firstId);
+    });
+
+    it('should accept the username in any case', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'Admin', password: credentials.password });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.username).toBe('admin');
+    });
+
     it('should reject invalid username', async () => {
       const res = await request(app)
         .post('/api/auth/login')
-        .send({ username: 'wrong', password: 'admin' });
+        .send({ username: 'wrong', password: credentials.password });
 
       expect(res.status).toBe(401);
       expect(res.body.success).toBe(false);
@@ -33,6 +127,54 @@ describe('Auth Routes', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('should answer repeated failures with 429 and Retry-After', async () => {
+      loginThrottle.clear();
+      const attempt = () => request(app)
+        .post('/api/auth/login')
+        .send({ username: 'admin', password: 'guess' });
+
+      for (let i = 0; i < 3; i++) {
+        expect((await attempt()).status).toBe(401);
+      }
+
+      const res = await attempt();
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('1');
+      expect(res.body.success).toBe(false);
+
+      const valid = await request(app).post('/api/auth/login').send(credentials);
+      expect(valid.status).toBe(429);
+      loginThrottle.clear();
+    });
+
+    it('should count parallel failures before the password is checked', async () => {
+      loginThrottle.clear();
+      const attempt = () => request(app)
+        .post('/api/auth/login')
+        .send({ username: 'admin', password: 'guess' });
+
+      const responses = await Promise.all(Array.from({ length: 10 }, attempt));
+
+      expect(responses.filter(res => res.status === 401)).toHaveLength(3);
+      expect(responses.filter(res => res.status === 429)).toHaveLength(7);
+      loginThrottle.clear();
+    });
+
+    it('should reset the counters after a successful login', async () => {
+      loginThrottle.clear();
+      const attempt = () => request(app)
+        .post('/api/auth/login')
+        .send({ username: 'admin', password: 'guess' });
+
+      await attempt();
+      await attempt();
+      await request(app).post('/api/auth/login').send(credentials);
+
+      expect((await attempt()).status).toBe(401);
+      expect((await attempt()).status).toBe(401);
+      loginThrottle.clear();
+    });
+
     it('should reject missing credentials', async () => {
       const res = await request(app)
         .post('/api/auth/login')
@@ -46,7 +188,7 @@ describe('Auth Routes', () => {
     it('should reject missing username', async () => {
       const res = await request(app)
         .post('/api/auth/login')
-        .send({ password: 'admin' });
+        .send({ password: credentials.password });
 
       expect(res.status).toBe(400);
       expect(res.body.success).toBe(false);
@@ -62,13 +204,116 @@ describe('Auth Routes', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    const login = async () => {
+      const res = await request(app).post('/api/auth/login').send(credentials);
+      return res.body.data;
+    };
+
+    it('should issue a short-lived access token and a refresh token on login', async () => {
+      const { token, refreshToken, expiresIn } = await login();
+      const decoded = jwt.decode(token);
+
+      expect(refreshToken).toBeDefined();
+      expect(expiresIn).toBe(15 * 60);
+      expect(decoded.exp - decoded.iat).toBe(expiresIn);
+    });
+
+    it('should return a new token pair', async () => {
+      const { refreshToken } = await login();
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(refreshToken);
+      expect(res.body.data.user.username).toBe('admin');
+
+      const verify = await request(app)
+        .post('/api/auth/verify')
+        .send({ token: res.body.data.token });
+      expect(verify.status).toBe(200);
+    });
+
+    it('should reject a refresh token that was already used', async () => {
+      const { refreshToken } = await login();
+      await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid or expired refresh token');
+    });
+
+    it('should revoke the whole family when an old token is reused', async () => {
+      const { refreshToken: original } = await login();
+      const first = await request(app).post('/api/auth/refresh').send({ refreshToken: original });
+      const latest = first.body.data.refreshToken;
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken: original });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: latest });
+      expect(res.status).toBe(401);
+    });
+
+    it('should end the session when an old token is reused', async () => {
+      const { refreshToken: stolen } = await login();
+      const first = await request(app).post('/api/auth/refresh').send({ refreshToken: stolen });
+      const { token } = first.body.data;
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken: stolen });
+
+      const verify = await request(app).post('/api/auth/verify').send({ token });
+      expect(verify.status).toBe(401);
+      const sessions = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+      expect(sessions.status).toBe(401);
+    });
+
+    it('should not affect other families', async () => {
+      const { refreshToken: stolen } = await login();
+      const { refreshToken: other } = await login();
+      await request(app).post('/api/auth/refresh').send({ refreshToken: stolen });
+      await request(app).post('/api/auth/refresh').send({ refreshToken: stolen });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: other });
+      expect(res.status).toBe(200);
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject missing refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Refresh token is required');
+    });
+  });
+
   describe('POST /api/auth/verify', () => {
     let validToken;
 
     beforeAll(async () => {
       const res = await request(app)
         .post('/api/auth/login')
-        .send({ username: 'admin', password: 'admin' });
+        .send(credentials);
       validToken = res.body.data.token;
     });
 
@@ -103,14 +348,157 @@ describe('Auth Routes', () => {
 
   describe('POST /api/auth/logout', () => {
     it('should logout successfully', async () => {
+      const login = await request(app).post('/api/auth/login').send(credentials);
+
       const res = await request(app)
         .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
         .send();
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
     });
+
+    it('should revoke the access token', async () => {
+      const login = await request(app).post('/api/auth/login').send(credentials);
+      const { token } = login.body.data;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      const verify = await request(app).post('/api/auth/verify').send({ token });
+      expect(verify.status).toBe(401);
+
+      const again = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+      expect(again.status).toBe(401);
+    });
+
+    it('should revoke the refresh token when given', async () => {
+      const login = await request(app).post('/api/auth/login').send(credentials);
+      const { token, refreshToken } = login.body.data;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken });
+
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(res.status).toBe(401);
+    });
+
+    it('should give each token a unique jti', async () => {
+      const first = await request(app).post('/api/auth/login').send(credentials);
+      const second = await request(app).post('/api/auth/login').send(credentials);
+
+      const firstJti = jwt.decode(first.body.data.token).jti;
+      expect(firstJti).toBeDefined();
+      expect(jwt.decode(second.body.data.token).jti).not.toBe(firstJti);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .send();
+
+      expect(res.status).toBe(401);
+    });
   });
-});
 
+  describe('POST /api/auth/logout-all', () => {
+    let trainer;
+    let count = 0;
+
+    beforeEach(async () => {
+      trainer = { username: `trainer-${++count}`, password: 'logout-everywhere' };
+      await request(app).post('/api/auth/register').send(trainer);
+    });
+
+    // Logs in with the clock moved back, so the tokens predate the cutoff
+    const loginEarlier = async (ms) => {
+      const realNow = Date.now;
+      const spy = jest.spyOn(Date, 'now').mockImplementation(() => realNow() - ms);
+      try {
+        const res = await request(app).post('/api/auth/login').send(trainer);
+        return res.body.data;
+      } finally {
+        spy.mockRestore();
+      }
+    };
+
+    it('should invalidate every token issued before now', async () => {
+      const other = await loginEarlier(60 * 1000);
+      const current = await request(app).post('/api/auth/login').send(trainer);
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${current.body.data.token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tokensValidAfter).toBeDefined();
+
+      const otherVerify = await request(app).post('/api/auth/verify').send({ token: other.token });
+      expect(otherVerify.status).toBe(401);
+
+      const currentVerify = await request(app).post('/api/auth/verify').send({ token: current.body.data.token });
+      expect(currentVerify.status).toBe(401);
+
+      const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should keep tokens issued after the given time', async () => {
+      const old = await loginEarlier(10 * 60 * 1000);
+      const recent = await loginEarlier(60 * 1000);
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${recent.token}`)
+        .send({ before: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
 
+      expect(res.status).toBe(200);
+
+      const oldVerify = await request(app).post('/api/auth/verify').send({ token: old.token });
+      expect(oldVerify.status).toBe(401);
+
+      const recentVerify = await request(app).post('/api/auth/verify').send({ token: recent.token });
+      expect(recentVerify.status).toBe(200);
+    });
+
+    it('should allow logging in again afterwards', async () => {
+      const current = await loginEarlier(60 * 1000);
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${current.token}`);
+
+      const login = await request(app).post('/api/auth/login').send(trainer);
+      const verify = await request(app).post('/api/auth/verify').send({ token: login.body.data.token });
+      expect(verify.status).toBe(200);
+    });
+
+    it('should reject a cutoff in the future', async () => {
+      const login = await request(app).post('/api/auth/login').send(trainer);
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ before: new Date(Date.now() + 60 * 1000).toISOString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('before cannot be in the future');
+    });
+
+    it('should reject an invalid cutoff', async () => {
+      const login = await request(app).post('/api/auth/login').send(trainer);
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ before: 'yesterday-ish' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { requireRole, requirePermission } = require('../middleware/authorize');
+const { ForbiddenError, UnauthorizedError } = require('../errors');
+
+describe('Authorize Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {};
+    res = {};
+    next = jest.fn();
+  });
+
+  describe('requireRole', () => {
+    it('should call next() when the user has the role', () => {
+      req.user = { username: 'admin', role: 'admin' };
+
+      requireRole('admin')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should accept any of several roles', () => {
+      req.user = { username: 'ash', role: 'user' };
+
+      requireRole('admin', 'user')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should forward a ForbiddenError when the role does not match', () => {
+      req.user = { username: 'ash', role: 'user' };
+
+      requireRole('admin')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+      expect(next.mock.calls[0][0].status).toBe(403);
+    });
+
+    it('should forward a ForbiddenError for an API key without the role\'s permissions', () => {
+      req.user = { username: 'ash', role: 'user', scopes: ['pokemon:read'] };
+
+      requireRole('user')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+    });
+
+    it('should forward an UnauthorizedError without a user', () => {
+      requireRole('admin')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should call next() when the role grants the permission', () => {
+      req.user = { username: 'ash', role: 'user' };
+
+      requirePermission('pokemon:read')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should require every permission', () => {
+      req.user = { username: 'ash', role: 'user' };
+
+      requirePermission('pokemon:read', 'users:manage')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+    });
+
+    it('should grant admin permissions to admins', () => {
+      req.user = { username: 'admin', role: 'admin' };
+
+      requirePermission('users:manage', 'cache:manage')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should limit API key requests to the key scopes', () => {
+      req.user = { username: 'admin', role: 'admin', scopes: ['pokemon:read'] };
+
+      requirePermission('pokemon:read')(req, res, next);
+      requirePermission('cache:manage')(req, res, next);
+
+      expect(next.mock.calls[0]).toEqual([]);
+      expect(next.mock.calls[1][0]).toBeInstanceOf(ForbiddenError);
+    });
+
+    it('should not grant scopes beyond the role', () => {
+      req.user = { username: 'ash', role: 'user', scopes: ['cache:manage'] };
+
+      requirePermission('cache:manage')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+    });
+
+    it('should forbid unknown roles', () => {
+      req.user = { username: 'ghost' };
+
+      requirePermission('pokemon:read')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+    });
+  });
+});
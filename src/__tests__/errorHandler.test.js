@@ -1,4 +1,5 @@
 const { errorHandler } = require('../middleware/errorHandler');
+const { ForbiddenError, ValidationError } = require('../errors');
 
 describe('Error Handler Middleware', () => {
   let req, res, next;
@@ -61,6 +62,29 @@ describe('Error Handler Middleware', () => {
     });
   });
 
+  it('should handle http errors', () => {
+    errorHandler(new ForbiddenError(), req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  });
+
+  it('should include the details of validation errors', () => {
+    const details = [{ field: 'name', message: 'Name is required' }];
+
+    errorHandler(new ValidationError('Invalid team', details), req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Invalid team',
+      details
+    });
+  });
+
   it('should handle generic errors', () => {
     const error = new Error('Generic error');
 
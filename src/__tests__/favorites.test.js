@@ -0,0 +1,258 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { cache } = require('../services/pokeapi');
+const { __favorites } = require('../services/favorites');
+
+jest.mock('axios');
+
+const pokemonUrl = (id) => `https://pokeapi.co/api/v2/pokemon/${id}/`;
+
+const mockList = {
+  results: [
+    { name: 'bulbasaur', url: pokemonUrl(1) },
+    { name: 'charmander', url: pokemonUrl(4) },
+    { name: 'pikachu', url: pokemonUrl(25) }
+  ]
+};
+
+const mockPokemon = (id, name, type) => ({
+  id,
+  name,
+  species: { url: `https://pokeapi.co/api/v2/pokemon-species/${id}/` },
+  sprites: {
+    front_default: `https://example.com/${name}.png`,
+    other: { 'official-artwork': { front_default: `https://example.com/${name}-art.png` } }
+  },
+  types: [{ type: { name: type } }],
+  height: 4,
+  weight: 60,
+  abilities: [],
+  moves: [],
+  stats: []
+});
+
+const mockPokemons = {
+  1: mockPokemon(1, 'bulbasaur', 'grass'),
+  4: mockPokemon(4, 'charmander', 'fire'),
+  25: mockPokemon(25, 'pikachu', 'electric')
+};
+
+describe('Favorites Routes', () => {
+  let authToken;
+  let otherToken;
+
+  const login = async (credentials) => {
+    await request(app).post('/api/auth/register').send(credentials);
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    return res.body.data.token;
+  };
+
+  beforeAll(async () => {
+    authToken = await login({ username: 'dawn', password: 'piplup-123' });
+    otherToken = await login({ username: 'barry', password: 'chimchar-123' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    __favorites.clear();
+    axios.get.mockImplementation((url) => {
+      if (url.includes('pokemon?limit=')) {
+        return Promise.resolve({ data: mockList });
+      }
+      const pokemon = url.match(/\/pokemon\/([a-z0-9-]+)$/);
+      if (pokemon) {
+        const found = mockPokemons[pokemon[1]] || Object.values(mockPokemons).find(p => p.name === pokemon[1]);
+        if (found) {
+          return Promise.resolve({ data: found });
+        }
+      }
+      return Promise.reject({ message: 'Not found', response: { status: 404 } });
+    });
+  });
+
+  const auth = (req, token = authToken) => req.set('Authorization', `Bearer ${token}`);
+
+  describe('PUT /api/me/favorites/:id', () => {
+    it('should add a favorite by id or name', async () => {
+      const res = await auth(request(app).put('/api/me/favorites/pikachu'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.id).toBe(25);
+      expect(res.body.data.addedAt).toBeDefined();
+
+      const again = await auth(request(app).put('/api/me/favorites/25'));
+      expect(again.body.data.addedAt).toBe(res.body.data.addedAt);
+
+      const list = await auth(request(app).get('/api/me/favorites'));
+      expect(list.body.data.results.map(p => p.name)).toEqual(['pikachu']);
+    });
+
+    it('should return 404 for an unknown Pokemon', async () => {
+      const res = await auth(request(app).put('/api/me/favorites/missingno'));
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should reject an invalid id', async () => {
+      const res = await auth(request(app).put('/api/me/favorites/not_a%20name!'));
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).put('/api/me/favorites/25');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/me/favorites', () => {
+    it('should list favorites in the order they were added', async () => {
+      await auth(request(app).put('/api/me/favorites/charmander'));
+      await auth(request(app).put('/api/me/favorites/bulbasaur'));
+
+      const res = await auth(request(app).get('/api/me/favorites?limit=1'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results).toEqual([
+        expect.objectContaining({ id: 4, name: 'charmander', types: ['fire'], isFavorite: true, addedAt: expect.any(String) })
+      ]);
+      expect(res.body.data.pagination).toEqual({ total: 2, limit: 1, offset: 0, hasNext: true, hasPrev: false });
+    });
+
+    it('should keep each user\'s favorites separate', async () => {
+      await auth(request(app).put('/api/me/favorites/pikachu'));
+
+      const res = await auth(request(app).get('/api/me/favorites'), otherToken);
+
+      expect(res.body.data.results).toEqual([]);
+    });
+  });
+
+  describe('PUT /api/me/favorites', () => {
+    it('should replace the favorites', async () => {
+      await auth(request(app).put('/api/me/favorites/pikachu'));
+
+      const res = await auth(request(app).put('/api/me/favorites').send({ pokemon: ['bulbasaur', 25, 25] }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results.map(f => f.id)).toEqual([1, 25]);
+    });
+
+    it('should reject unknown Pokemon without changing the list', async () => {
+      await auth(request(app).put('/api/me/favorites/pikachu'));
+
+      const res = await auth(request(app).put('/api/me/favorites').send({ pokemon: ['bulbasaur', 'missingno'] }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown Pokemon: missingno');
+
+      const list = await auth(request(app).get('/api/me/favorites'));
+      expect(list.body.data.results.map(p => p.id)).toEqual([25]);
+    });
+
+    it('should limit lookups of Pokemon missing from the list', async () => {
+      const pokemon = ['pikachu', ...Array.from({ length: 11 }, (_, i) => `missingno-${i}`)];
+
+      const res = await auth(request(app).put('/api/me/favorites').send({ pokemon }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('At most 10 Pokemon outside the Pokemon list can be resolved per request');
+      expect(axios.get.mock.calls.filter(([url]) => !url.includes('pokemon?limit='))).toHaveLength(0);
+    });
+
+    it('should look up a repeated unlisted Pokemon once', async () => {
+      const res = await auth(request(app).put('/api/me/favorites').send({ pokemon: Array(20).fill('missingno') }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown Pokemon: missingno');
+      expect(axios.get.mock.calls.filter(([url]) => url.endsWith('/pokemon/missingno'))).toHaveLength(1);
+    });
+
+    it('should reject a body without a pokemon array', async () => {
+      const res = await auth(request(app).put('/api/me/favorites').send({ pokemon: 'pikachu' }));
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/me/favorites/:id', () => {
+    it('should remove a favorite', async () => {
+      await auth(request(app).put('/api/me/favorites/pikachu'));
+
+      const res = await auth(request(app).delete('/api/me/favorites/25'));
+
+      expect(res.status).toBe(200);
+      const list = await auth(request(app).get('/api/me/favorites'));
+      expect(list.body.data.results).toEqual([]);
+    });
+
+    it('should return 404 if the Pokemon is not a favorite', async () => {
+      const res = await auth(request(app).delete('/api/me/favorites/pikachu'));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('isFavorite on Pokemon responses', () => {
+    beforeEach(async () => {
+      await auth(request(app).put('/api/me/favorites/charmander'));
+    });
+
+    it('should flag favorites in the list', async () => {
+      const res = await auth(request(app).get('/api/pokemons'));
+
+      expect(res.body.data.results.map(p => [p.name, p.isFavorite])).toEqual([
+        ['bulbasaur', false],
+        ['charmander', true],
+        ['pikachu', false]
+      ]);
+    });
+
+    it('should filter the list to favorites', async () => {
+      const res = await auth(request(app).get('/api/pokemons?favorites=true'));
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['charmander']);
+      expect(res.body.data.pagination.total).toBe(1);
+    });
+
+    it('should flag favorites in the detail for the calling user only', async () => {
+      const own = await auth(request(app).get('/api/pokemons/charmander'));
+      const other = await auth(request(app).get('/api/pokemons/charmander'), otherToken);
+
+      expect(own.body.data.isFavorite).toBe(true);
+      expect(other.body.data.isFavorite).toBe(false);
+    });
+
+    describe('with a read-only API key', () => {
+      let key;
+
+      beforeEach(async () => {
+        const created = await auth(request(app).post('/api/auth/api-keys').send({ name: 'pokedex', scopes: ['pokemon:read'] }));
+        key = created.body.data.key;
+      });
+
+      const withKey = (url) => request(app).get(url).set('X-API-Key', key);
+
+      it('should leave out isFavorite', async () => {
+        const list = await withKey('/api/pokemons');
+        const byNumber = await withKey('/api/pokemons/number/4');
+
+        expect(list.status).toBe(200);
+        expect(list.body.data.results.map(p => p.isFavorite)).toEqual([undefined, undefined, undefined]);
+        expect(byNumber.body.data.results[0]).not.toHaveProperty('isFavorite');
+      });
+
+      it('should refuse the collection filters', async () => {
+        for (const query of ['favorites=true', 'status=caught', 'tag=starter']) {
+          const res = await withKey(`/api/pokemons?${query}`);
+
+          expect(res.status).toBe(403);
+          expect(res.body.error).toBe('The favorites, status and tag filters require the collection:manage permission');
+        }
+      });
+    });
+  });
+});
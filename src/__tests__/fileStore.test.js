@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCollection } = require('../services/fileStore');
+
+describe('File Store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poke-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should persist records to disk', () => {
+    const users = createCollection('users', { dir });
+    users.set('1', { id: '1', username: 'ash' });
+
+    const reloaded = createCollection('users', { dir });
+    expect(reloaded.get('1')).toEqual({ id: '1', username: 'ash' });
+  });
+
+  it('should persist deletions', () => {
+    const users = createCollection('users', { dir });
+    users.set('1', { id: '1' });
+    users.set('2', { id: '2' });
+    users.delete('1');
+
+    const reloaded = createCollection('users', { dir });
+    expect(reloaded.all()).toEqual([{ id: '2' }]);
+  });
+
+  it('should write several records at once', () => {
+    const users = createCollection('users', { dir });
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+    try {
+      users.setMany([['1', { id: '1' }], ['2', { id: '2' }]]);
+      users.setMany([]);
+
+      expect(writeFileSync).toHaveBeenCalledTimes(1);
+    } finally {
+      writeFileSync.mockRestore();
+    }
+
+    const reloaded = createCollection('users', { dir });
+    expect(reloaded.all()).toEqual([{ id: '1' }, { id: '2' }]);
+  });
+
+  it('should find and filter records', () => {
+    const users = createCollection('users', { dir });
+    users.set('1', { id: '1', role: 'admin' });
+    users.set('2', { id: '2', role: 'user' });
+    users.set('3', { id: '3', role: 'user' });
+
+    expect(users.find(u => u.role === 'admin').id).toBe('1');
+    expect(users.filter(u => u.role === 'user')).toHaveLength(2);
+  });
+
+  it('should stay in memory without a directory', () => {
+    const users = createCollection('users', { dir: null });
+    users.set('1', { id: '1' });
+
+    expect(users.get('1')).toEqual({ id: '1' });
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,105 @@
+const { createLoginThrottle } = require('../services/loginThrottle');
+
+describe('Login Throttle', () => {
+  let clock, throttle;
+  const ash = { username: 'ash', ip: '10.0.0.1' };
+
+  beforeEach(() => {
+    clock = 1000000;
+    throttle = createLoginThrottle({
+      user: { freeAttempts: 2, maxAttempts: 5 },
+      ip: { freeAttempts: 4, maxAttempts: 8 },
+      baseDelayMs: 1000,
+      maxDelayMs: 3000,
+      lockoutMs: 60000,
+      windowMs: 120000,
+      now: () => clock
+    });
+  });
+
+  const fail = (identity, times) => {
+    for (let i = 0; i < times; i++) throttle.recordFailure(identity);
+  };
+
+  it('should allow the free attempts without delay', () => {
+    fail(ash, 1);
+
+    expect(throttle.check(ash)).toBe(0);
+  });
+
+  it('should increase the delay after the free attempts', () => {
+    fail(ash, 2);
+    expect(throttle.check(ash)).toBe(1000);
+
+    fail(ash, 1);
+    expect(throttle.check(ash)).toBe(2000);
+  });
+
+  it('should cap the backoff delay', () => {
+    fail(ash, 4);
+
+    expect(throttle.check(ash)).toBe(3000);
+  });
+
+  it('should lock out after the maximum attempts', () => {
+    fail(ash, 5);
+
+    expect(throttle.check(ash)).toBe(60000);
+  });
+
+  it('should allow attempts once the delay has passed', () => {
+    fail(ash, 2);
+    clock += 1000;
+
+    expect(throttle.check(ash)).toBe(0);
+  });
+
+  it('should track usernames case-insensitively', () => {
+    fail({ username: 'ASH' }, 2);
+
+    expect(throttle.check({ username: 'ash' })).toBe(1000);
+  });
+
+  it('should track the client IP across usernames', () => {
+    fail({ username: 'misty', ip: '10.0.0.1' }, 2);
+    fail({ username: 'brock', ip: '10.0.0.1' }, 2);
+
+    expect(throttle.check({ username: 'gary', ip: '10.0.0.1' })).toBe(1000);
+    expect(throttle.check({ username: 'gary', ip: '10.0.0.2' })).toBe(0);
+  });
+
+  it('should count a reserved attempt until it is reset', () => {
+    expect(throttle.reserve(ash)).toBe(0);
+    expect(throttle.reserve(ash)).toBe(0);
+    expect(throttle.reserve(ash)).toBe(1000);
+
+    throttle.reset(ash);
+    expect(throttle.check(ash)).toBe(0);
+  });
+
+  it('should reset the counters', () => {
+    fail(ash, 5);
+    throttle.reset(ash);
+
+    expect(throttle.check(ash)).toBe(0);
+    fail(ash, 1);
+    expect(throttle.check(ash)).toBe(0);
+  });
+
+  it('should forget failures outside the window', () => {
+    fail(ash, 1);
+    clock += 120001;
+    fail(ash, 1);
+
+    expect(throttle.check(ash)).toBe(0);
+  });
+
+  it('should accept a custom store', () => {
+    const store = new Map();
+    const shared = createLoginThrottle({ store, now: () => clock });
+    shared.recordFailure(ash);
+
+    expect(store.get('user:ash').failures).toBe(1);
+    expect(store.get('ip:10.0.0.1').failures).toBe(1);
+  });
+});
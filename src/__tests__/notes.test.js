@@ -0,0 +1,254 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { cache } = require('../services/pokeapi');
+const { __notes } = require('../services/notes');
+const { __tags } = require('../services/tags');
+
+jest.mock('axios');
+
+const pokemonUrl = (id) => `https://pokeapi.co/api/v2/pokemon/${id}/`;
+
+const mockList = {
+  results: [
+    { name: 'bulbasaur', url: pokemonUrl(1) },
+    { name: 'charmander', url: pokemonUrl(4) },
+    { name: 'pikachu', url: pokemonUrl(25) }
+  ]
+};
+
+const mockPokemon = (id, name) => ({
+  id,
+  name,
+  species: { url: `https://pokeapi.co/api/v2/pokemon-species/${id}/` },
+  sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+  types: [],
+  height: 4,
+  weight: 60,
+  abilities: [],
+  moves: [],
+  stats: []
+});
+
+describe('Notes and Tags Routes', () => {
+  let authToken;
+  let otherToken;
+
+  const login = async (credentials) => {
+    await request(app).post('/api/auth/register').send(credentials);
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    return res.body.data.token;
+  };
+
+  beforeAll(async () => {
+    authToken = await login({ username: 'lyra', password: 'totodile-1' });
+    otherToken = await login({ username: 'silver', password: 'sneasel-12' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    __notes.clear();
+    __tags.clear();
+    axios.get.mockImplementation((url) => {
+      if (url.includes('pokemon?limit=')) {
+        return Promise.resolve({ data: mockList });
+      }
+      const pokemon = url.match(/\/pokemon\/([a-z0-9-]+)$/);
+      const found = pokemon && mockList.results.find(p => p.name === pokemon[1] || p.url === pokemonUrl(pokemon[1]));
+      if (found) {
+        return Promise.resolve({ data: mockPokemon(Number(found.url.match(/(\d+)\/$/)[1]), found.name) });
+      }
+      return Promise.reject({ message: 'Not found', response: { status: 404 } });
+    });
+  });
+
+  const auth = (req, token = authToken) => req.set('Authorization', `Bearer ${token}`);
+
+  const addNote = (pokemon, text, token) => auth(request(app).post('/api/me/notes').send({ pokemon, text }), token);
+
+  describe('Notes', () => {
+    it('should create, read, update and delete a note', async () => {
+      const created = await addNote('pikachu', 'Hunting a shiny one');
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toEqual({
+        id: expect.any(String),
+        pokemonId: 25,
+        text: 'Hunting a shiny one',
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String)
+      });
+
+      const { id } = created.body.data;
+      const read = await auth(request(app).get(`/api/me/notes/${id}`));
+      expect(read.body.data.text).toBe('Hunting a shiny one');
+
+      const updated = await auth(request(app).patch(`/api/me/notes/${id}`).send({ text: 'Found it!' }));
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.text).toBe('Found it!');
+
+      const deleted = await auth(request(app).delete(`/api/me/notes/${id}`));
+      expect(deleted.status).toBe(200);
+      expect(__notes.all()).toHaveLength(0);
+    });
+
+    it('should list notes, optionally for one Pokemon', async () => {
+      await addNote(25, 'First');
+      await addNote('bulbasaur', 'Second');
+
+      const all = await auth(request(app).get('/api/me/notes'));
+      const pikachu = await auth(request(app).get('/api/me/notes?pokemon=pikachu'));
+
+      expect(all.body.data.results.map(n => n.text)).toEqual(['First', 'Second']);
+      expect(pikachu.body.data.results.map(n => n.text)).toEqual(['First']);
+    });
+
+    it('should validate the text and the Pokemon', async () => {
+      const empty = await addNote('pikachu', '   ');
+      const tooLong = await addNote('pikachu', 'a'.repeat(2001));
+      const unknown = await addNote('missingno', 'Glitch');
+
+      expect(empty.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should keep notes private to their user', async () => {
+      const created = await addNote('pikachu', 'Mine');
+      const { id } = created.body.data;
+
+      const read = await auth(request(app).get(`/api/me/notes/${id}`), otherToken);
+      const updated = await auth(request(app).patch(`/api/me/notes/${id}`).send({ text: 'Theirs' }), otherToken);
+      const deleted = await auth(request(app).delete(`/api/me/notes/${id}`), otherToken);
+      const listed = await auth(request(app).get('/api/me/notes'), otherToken);
+
+      expect(read.status).toBe(404);
+      expect(updated.status).toBe(404);
+      expect(deleted.status).toBe(404);
+      expect(listed.body.data.results).toEqual([]);
+    });
+  });
+
+  describe('Tags', () => {
+    it('should tag Pokemon and list tags', async () => {
+      const res = await auth(request(app).put('/api/me/tags/Shiny%20%20Hunt/pokemon/pikachu'));
+      await auth(request(app).put('/api/me/tags/shiny%20hunt/pokemon/1'));
+      await auth(request(app).put('/api/me/tags/raid%20counter/pokemon/4'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ tag: 'shiny hunt', pokemon: 25 });
+
+      const list = await auth(request(app).get('/api/me/tags'));
+      expect(list.body.data.results).toEqual([
+        { tag: 'raid counter', pokemon: [4] },
+        { tag: 'shiny hunt', pokemon: [25, 1] }
+      ]);
+    });
+
+    it('should remove a tag from one Pokemon or from all', async () => {
+      await auth(request(app).put('/api/me/tags/favs/pokemon/pikachu'));
+      await auth(request(app).put('/api/me/tags/favs/pokemon/bulbasaur'));
+      await auth(request(app).put('/api/me/tags/team/pokemon/bulbasaur'));
+
+      const removed = await auth(request(app).delete('/api/me/tags/favs/pokemon/pikachu'));
+      const deleted = await auth(request(app).delete('/api/me/tags/team'));
+
+      expect(removed.status).toBe(200);
+      expect(deleted.status).toBe(200);
+      const list = await auth(request(app).get('/api/me/tags'));
+      expect(list.body.data.results).toEqual([{ tag: 'favs', pokemon: [1] }]);
+    });
+
+    it('should return 404 when removing a tag that is not there', async () => {
+      const removed = await auth(request(app).delete('/api/me/tags/favs/pokemon/pikachu'));
+      const deleted = await auth(request(app).delete('/api/me/tags/favs'));
+
+      expect(removed.status).toBe(404);
+      expect(deleted.status).toBe(404);
+    });
+
+    it('should treat tags named like object properties as plain tags', async () => {
+      const constructor = await auth(request(app).put('/api/me/tags/constructor/pokemon/pikachu'));
+      const proto = await auth(request(app).put('/api/me/tags/__proto__/pokemon/pikachu'));
+      const missing = await auth(request(app).delete('/api/me/tags/tostring/pokemon/pikachu'));
+
+      expect(constructor.status).toBe(200);
+      expect(proto.status).toBe(200);
+      expect(missing.status).toBe(404);
+
+      const list = await auth(request(app).get('/api/me/tags'));
+      expect(list.body.data.results).toEqual([
+        { tag: '__proto__', pokemon: [25] },
+        { tag: 'constructor', pokemon: [25] }
+      ]);
+
+      const removed = await auth(request(app).delete('/api/me/tags/constructor/pokemon/pikachu'));
+      const filtered = await auth(request(app).get('/api/pokemons?tag=hasownproperty'));
+      expect(removed.status).toBe(200);
+      expect(filtered.body.data.results).toEqual([]);
+    });
+
+    it('should reject tags with commas or over 32 characters', async () => {
+      const comma = await auth(request(app).put('/api/me/tags/a%2Cb/pokemon/pikachu'));
+      const tooLong = await auth(request(app).put(`/api/me/tags/${'a'.repeat(33)}/pokemon/pikachu`));
+
+      expect(comma.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+    });
+  });
+
+  describe('Pokemon responses', () => {
+    beforeEach(async () => {
+      await auth(request(app).put('/api/me/tags/shiny%20hunt/pokemon/pikachu'));
+      await auth(request(app).put('/api/me/tags/starter/pokemon/bulbasaur'));
+      await auth(request(app).put('/api/me/tags/starter/pokemon/charmander'));
+      await addNote('pikachu', 'Chain fishing');
+      await addNote('pikachu', 'Someone else\'s', otherToken);
+    });
+
+    it('should filter the list by tag without extra upstream calls', async () => {
+      await auth(request(app).get('/api/pokemons'));
+      jest.clearAllMocks();
+
+      const res = await auth(request(app).get('/api/pokemons?tag=Starter'));
+      const either = await auth(request(app).get('/api/pokemons?tag=starter,shiny%20hunt'));
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['bulbasaur', 'charmander']);
+      expect(either.body.data.pagination.total).toBe(3);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should return nothing for a tag the user does not have', async () => {
+      const res = await auth(request(app).get('/api/pokemons?tag=starter'), otherToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results).toEqual([]);
+    });
+
+    it('should include the caller\'s tags and notes in the detail', async () => {
+      await auth(request(app).get('/api/pokemons/pikachu'));
+      jest.clearAllMocks();
+
+      const res = await auth(request(app).get('/api/pokemons/pikachu'));
+
+      expect(res.body.data.tags).toEqual(['shiny hunt']);
+      expect(res.body.data.notes).toEqual([
+        { id: expect.any(String), text: 'Chain fishing', createdAt: expect.any(String), updatedAt: expect.any(String) }
+      ]);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should leave the collection out of the detail for a read-only API key', async () => {
+      const created = await auth(request(app).post('/api/auth/api-keys').send({ name: 'pokedex', scopes: ['pokemon:read'] }));
+
+      const res = await request(app).get('/api/pokemons/pikachu').set('X-API-Key', created.body.data.key);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.name).toBe('pikachu');
+      expect(res.body.data).not.toHaveProperty('notes');
+      expect(res.body.data).not.toHaveProperty('tags');
+      expect(res.body.data).not.toHaveProperty('isFavorite');
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../index');
+const { __users, findByUsername } = require('../services/users');
+const { MAX_PENDING_AUTHORIZATIONS, registerProvider, __providers, __metadataCache, __pendingAuthorizations } = require('../services/oidc');
+
+/**
+ * Minimal OpenID Connect issuer: discovery, authorize, token and JWKS
+ * endpoints, with PKCE checked on the token request.
+ */
+const createMockIssuer = () => {
+  const issuerApp = express();
+  issuerApp.use(express.urlencoded({ extended: false }));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  const issuer = {
+    url: null,
+    // Claims of the user who "signs in" at the provider
+    profile: { sub: 'employee-42', preferred_username: 'ash.ketchum', email: 'ash@company.test', email_verified: true },
+    // Lets tests tamper with the issued ID token
+    overrides: {}
+  };
+
+  issuerApp.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: issuer.url,
+      authorization_endpoint: `${issuer.url}/authorize`,
+      token_endpoint: `${issuer.url}/token`,
+      jwks_uri: `${issuer.url}/jwks`
+    });
+  });
+
+  // Stands in for the browser round trip: returns the code the provider would redirect with
+  issuerApp.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { ...req.query, profile: issuer.profile });
+    res.json({ code, state: req.query.state });
+  });
+
+  issuerApp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = req.body.code_verifier &&
+      crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+
+    if (!grant || grant.code_challenge !== challenge || grant.redirect_uri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.profile, nonce: grant.nonce, ...issuer.overrides.claims },
+      issuer.overrides.privateKey || privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: issuer.url,
+        audience: issuer.overrides.audience || grant.client_id,
+        expiresIn: 300
+      }
+    );
+    res.json({ access_token: 'provider-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  issuerApp.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  return new Promise((resolve) => {
+    const server = issuerApp.listen(0, '127.0.0.1', () => {
+      issuer.url = `http://127.0.0.1:${server.address().port}`;
+      issuer.close = () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      });
+      resolve(issuer);
+    });
+  });
+};
+
+describe('OIDC Routes', () => {
+  let issuer;
+
+  beforeAll(async () => {
+    issuer = await createMockIssuer();
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    __users.clear();
+    __providers.clear();
+    __metadataCache.clear();
+    issuer.overrides = {};
+    registerProvider({
+      id: 'company',
+      name: 'Company SSO',
+      issuer: issuer.url,
+      clientId: 'poke-backend',
+      redirectUri: 'http://localhost:5173/auth/callback'
+    });
+  });
+
+  // Runs the whole flow the way a frontend would; the provider answers the
+  // authorization request with the code instead of redirecting
+  // link: token that starts the link flow; as: token sent with the callback (defaults to link)
+  const signIn = async ({ link, as = link } = {}) => {
+    const start = link
+      ? await request(app).post('/api/auth/oidc/company/link').set('Authorization', `Bearer ${link}`)
+      : await request(app).get('/api/auth/oidc/company/authorize');
+    const { code } = (await axios.get(start.body.data.authorizationUrl)).data;
+    const callback = request(app).post('/api/auth/oidc/company/callback');
+    if (as) {
+      callback.set('Authorization', `Bearer ${as}`);
+    }
+    return callback.send({ code, state: start.body.data.state });
+  };
+
+  it('should list providers', async () => {
+    const res = await request(app).get('/api/auth/oidc/providers');
+
+    expect(res.body.data.results).toEqual([{ id: 'company', name: 'Company SSO' }]);
+  });
+
+  it('should build an authorization URL with PKCE from discovery', async () => {
+    const res = await request(app).get('/api/auth/oidc/company/authorize');
+    const url = new URL(res.body.data.authorizationUrl);
+
+    expect(res.status).toBe(200);
+    expect(url.origin + url.pathname).toBe(`${issuer.url}/authorize`);
+    expect(url.searchParams.get('response_type')).toBe('code');
+    expect(url.searchParams.get('client_id')).toBe('poke-backend');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('code_challenge')).toBeTruthy();
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+    expect(url.searchParams.get('state')).toBe(res.body.data.state);
+  });
+
+  it('should create and link an account on first login', async () => {
+    const res = await signIn();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.created).toBe(true);
+    expect(res.body.data.user.username).toBe('ash.ketchum');
+    expect(findByUsername('ash.ketchum').identities[0]).toMatchObject({
+      provider: 'company',
+      subject: 'employee-42'
+    });
+  });
+
+  it('should issue tokens accepted by authMiddleware', async () => {
+    const res = await signIn();
+
+    const sessions = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(sessions.status).toBe(200);
+    expect(res.body.data.refreshToken).toBeDefined();
+  });
+
+  it('should sign in to the linked account on later logins', async () => {
+    const first = await signIn();
+    const second = await signIn();
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.created).toBe(false);
+    expect(second.body.data.user.id).toBe(first.body.data.user.id);
+  });
+
+  it('should pick a free username', async () => {
+    await request(app).post('/api/auth/register').send({ username: 'ash.ketchum', password: 'pikachu-123' });
+
+    const res = await signIn();
+
+    expect(res.body.data.user.username).toBe('ash.ketchum-2');
+  });
+
+  it('should link the identity to the current account', async () => {
+    const local = { username: 'ash', password: 'pikachu-123' };
+    await request(app).post('/api/auth/register').send(local);
+    const login = await request(app).post('/api/auth/login').send(local);
+
+    const linked = await signIn({ link: login.body.data.token });
+    expect(linked.status).toBe(200);
+    expect(linked.body.data.user.username).toBe('ash');
+
+    const res = await signIn();
+    expect(res.body.data.user.username).toBe('ash');
+  });
+
+  it('should require the linking user at the callback', async () => {
+    const local = { username: 'ash', password: 'pikachu-123' };
+    await request(app).post('/api/auth/register').send(local);
+    const login = await request(app).post('/api/auth/login').send(local);
+
+    const res = await signIn({ link: login.body.data.token, as: null });
+
+    expect(res.status).toBe(401);
+    expect(findByUsername('ash').identities || []).toHaveLength(0);
+  });
+
+  it('should not complete a link flow for another user', async () => {
+    const ash = { username: 'ash', password: 'pikachu-123' };
+    const gary = { username: 'gary', password: 'eevee-1234' };
+    await request(app).post('/api/auth/register').send(ash);
+    await request(app).post('/api/auth/register').send(gary);
+    const ashLogin = await request(app).post('/api/auth/login').send(ash);
+    const garyLogin = await request(app).post('/api/auth/login').send(gary);
+
+    const res = await signIn({ link: ashLogin.body.data.token, as: garyLogin.body.data.token });
+
+    expect(res.status).toBe(403);
+    expect(findByUsername('ash').identities || []).toHaveLength(0);
+    expect(findByUsername('gary').identities || []).toHaveLength(0);
+  });
+
+  it('should not link an identity owned by another account', async () => {
+    await signIn();
+    const local = { username: 'gary', password: 'eevee-1234' };
+    await request(app).post('/api/auth/register').send(local);
+    const login = await request(app).post('/api/auth/login').send(local);
+
+    const res = await signIn({ link: login.body.data.token });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should drop the oldest pending requests when too many are open', async () => {
+    __pendingAuthorizations.clear();
+    const expiresAt = Date.now() + 60 * 1000;
+    for (let i = 0; i < MAX_PENDING_AUTHORIZATIONS; i++) {
+      __pendingAuthorizations.set(`state-${i}`, { providerId: 'company', expiresAt });
+    }
+
+    const res = await request(app).get('/api/auth/oidc/company/authorize');
+
+    expect(res.status).toBe(200);
+    expect(__pendingAuthorizations.size).toBe(MAX_PENDING_AUTHORIZATIONS);
+    expect(__pendingAuthorizations.has('state-0')).toBe(false);
+    expect(__pendingAuthorizations.has(res.body.data.state)).toBe(true);
+    __pendingAuthorizations.clear();
+  });
+
+  it('should only accept a state once', async () => {
+    const start = await request(app).get('/api/auth/oidc/company/authorize');
+    const { code } = (await axios.get(start.body.data.authorizationUrl)).data;
+    await request(app).post('/api/auth/oidc/company/callback').send({ code, state: start.body.data.state });
+
+    const res = await request(app)
+      .post('/api/auth/oidc/company/callback')
+      .send({ code, state: start.body.data.state });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid or expired state');
+  });
+
+  it('should reject an ID token with the wrong nonce', async () => {
+    issuer.overrides = { claims: { nonce: 'replayed' } };
+
+    const res = await signIn();
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid ID token');
+  });
+
+  it('should reject an ID token for another client', async () => {
+    issuer.overrides = { audience: 'someone-else' };
+
+    const res = await signIn();
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject an ID token with a bad signature', async () => {
+    issuer.overrides = { privateKey: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey };
+
+    const res = await signIn();
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject a code the provider does not accept', async () => {
+    const start = await request(app).get('/api/auth/oidc/company/authorize');
+
+    const res = await request(app)
+      .post('/api/auth/oidc/company/callback')
+      .send({ code: 'made-up', state: start.body.data.state });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should report a denied sign-in', async () => {
+    const res = await request(app)
+      .get('/api/auth/oidc/company/callback?error=access_denied&state=abc');
+
+    expect(res.status).toBe(401);
+    expect(res.body.details).toBe('access_denied');
+  });
+
+  it('should return 404 for unknown providers', async () => {
+    const res = await request(app).get('/api/auth/oidc/unknown/authorize');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should not allow password login for provider accounts', async () => {
+    await signIn();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'ash.ketchum', password: 'anything-at-all' });
+
+    expect(res.status).toBe(401);
+  });
+});
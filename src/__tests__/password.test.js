@@ -0,0 +1,280 @@
+const request = require('supertest');
+const app = require('../index');
+const { __users } = require('../services/users');
+const { __passwordResets, resetRequestThrottle } = require('../services/passwordResets');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { outbox, setResetDelivery, loadResetDelivery } = require('../services/resetDelivery');
+const { loginThrottle } = require('../services/loginThrottle');
+
+describe('Password Routes', () => {
+  const trainer = { username: 'ash', password: 'pikachu-123' };
+
+  const login = async (credentials = trainer) => {
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    return res.body.data;
+  };
+
+  // Logs in with the clock moved back, so the tokens predate a password change
+  const loginEarlier = async () => {
+    const realNow = Date.now;
+    const spy = jest.spyOn(Date, 'now').mockImplementation(() => realNow() - 60 * 1000);
+    try {
+      return await login();
+    } finally {
+      spy.mockRestore();
+    }
+  };
+
+  const verify = (token) => request(app).post('/api/auth/verify').send({ token });
+
+  beforeEach(async () => {
+    __users.clear();
+    __passwordResets.clear();
+    resetRequestThrottle.clear();
+    outbox.length = 0;
+    loginThrottle.clear();
+    await request(app).post('/api/auth/register').send({ ...trainer, email: 'ash@pallet.town' });
+  });
+
+  describe('POST /api/auth/password', () => {
+    const changePassword = (token, body) => request(app)
+      .post('/api/auth/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('should change the password', async () => {
+      const { token } = await login();
+
+      const res = await changePassword(token, { currentPassword: trainer.password, newPassword: 'raichu-456' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+
+      const oldLogin = await request(app).post('/api/auth/login').send(trainer);
+      expect(oldLogin.status).toBe(401);
+      const newLogin = await request(app).post('/api/auth/login').send({ ...trainer, password: 'raichu-456' });
+      expect(newLogin.status).toBe(200);
+    });
+
+    it('should invalidate the other sessions', async () => {
+      const other = await loginEarlier();
+      const current = await loginEarlier();
+
+      const res = await changePassword(current.token, { currentPassword: trainer.password, newPassword: 'raichu-456' });
+
+      expect((await verify(other.token)).status).toBe(401);
+      expect((await verify(current.token)).status).toBe(401);
+      expect((await verify(res.body.data.token)).status).toBe(200);
+
+      const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should reject a wrong current password', async () => {
+      const { token } = await login();
+
+      const res = await changePassword(token, { currentPassword: 'wrong-password', newPassword: 'raichu-456' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Current password is incorrect');
+    });
+
+    it('should reject a short new password', async () => {
+      const { token } = await login();
+
+      const res = await changePassword(token, { currentPassword: trainer.password, newPassword: 'short' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app)
+        .post('/api/auth/password')
+        .send({ currentPassword: trainer.password, newPassword: 'raichu-456' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('password reset', () => {
+    const forgot = () => request(app).post('/api/auth/password/forgot').send({ username: 'ash' });
+    const reset = (token, newPassword = 'raichu-456') => request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, newPassword });
+
+    it('should deliver a reset token to the outbox', async () => {
+      const res = await forgot();
+
+      expect(res.status).toBe(202);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0]).toMatchObject({ username: 'ash', email: 'ash@pallet.town' });
+      expect(outbox[0].token).toBeDefined();
+    });
+
+    it('should answer the same way for unknown users', async () => {
+      const res = await request(app).post('/api/auth/password/forgot').send({ username: 'nobody' });
+
+      expect(res.status).toBe(202);
+      expect(outbox).toHaveLength(0);
+    });
+
+    it('should reset the password and end every session', async () => {
+      const session = await loginEarlier();
+      await forgot();
+
+      const res = await reset(outbox[0].token);
+
+      expect(res.status).toBe(200);
+      expect((await verify(session.token)).status).toBe(401);
+      expect((await request(app).post('/api/auth/login').send({ ...trainer, password: 'raichu-456' })).status).toBe(200);
+    });
+
+    it('should only accept a reset token once', async () => {
+      await forgot();
+      await reset(outbox[0].token);
+
+      const res = await reset(outbox[0].token, 'another-password');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid or expired reset token');
+    });
+
+    it('should reject expired reset tokens', async () => {
+      await forgot();
+      const record = __passwordResets.all()[0];
+      __passwordResets.set(record.id, { ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      const res = await reset(outbox[0].token);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should keep an outstanding reset token valid until one is used', async () => {
+      await forgot();
+      await forgot();
+
+      expect((await reset(outbox[0].token)).status).toBe(200);
+      expect((await reset(outbox[1].token, 'another-password')).status).toBe(400);
+    });
+
+    it('should limit reset requests per username', async () => {
+      for (let i = 0; i < 3; i++) {
+        expect((await forgot()).status).toBe(202);
+      }
+
+      const res = await forgot();
+
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBeDefined();
+      expect(res.body.error).toBe('Too many password reset requests, try again later');
+      expect(outbox).toHaveLength(3);
+    });
+
+    it('should limit reset requests per IP across usernames', async () => {
+      const statuses = [];
+      for (let i = 0; i < 11; i++) {
+        const res = await request(app).post('/api/auth/password/forgot').send({ username: `trainer-${i}` });
+        statuses.push(res.status);
+      }
+
+      expect(statuses.slice(0, 10).every(status => status === 202)).toBe(true);
+      expect(statuses[10]).toBe(429);
+    });
+
+    it('should answer without waiting for the delivery', async () => {
+      setResetDelivery(() => new Promise(() => {}));
+      try {
+        const res = await forgot();
+        expect(res.status).toBe(202);
+      } finally {
+        setResetDelivery(null);
+      }
+    });
+
+    it('should use a custom delivery hook', async () => {
+      const hook = jest.fn().mockResolvedValue();
+      setResetDelivery(hook);
+      try {
+        await forgot();
+      } finally {
+        setResetDelivery(null);
+      }
+
+      expect(hook).toHaveBeenCalledWith(expect.objectContaining({
+        user: expect.objectContaining({ username: 'ash' }),
+        token: expect.any(String),
+        expiresAt: expect.any(String)
+      }));
+      expect(outbox).toHaveLength(0);
+    });
+
+    it('should not reveal delivery failures', async () => {
+      console.error = jest.fn();
+      setResetDelivery(() => Promise.reject(new Error('SMTP down')));
+      try {
+        const res = await forgot();
+        expect(res.status).toBe(202);
+      } finally {
+        setResetDelivery(null);
+      }
+    });
+
+    it('should only log reset tokens in development', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const env = process.env.NODE_ENV;
+      try {
+        process.env.NODE_ENV = 'production';
+        await forgot();
+        expect(log).not.toHaveBeenCalled();
+
+        process.env.NODE_ENV = 'development';
+        await forgot();
+        expect(log).toHaveBeenCalledWith(expect.stringContaining(outbox[1].token));
+      } finally {
+        process.env.NODE_ENV = env;
+        log.mockRestore();
+      }
+    });
+  });
+
+  describe('loadResetDelivery', () => {
+    const forgot = () => request(app).post('/api/auth/password/forgot').send({ username: 'ash' });
+
+    afterEach(() => setResetDelivery(null));
+
+    it('should install the hook exported by RESET_DELIVERY_MODULE', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reset-delivery-'));
+      const modulePath = path.join(dir, 'hook.js');
+      fs.writeFileSync(modulePath, 'module.exports = async (message) => { global.__resetMessage = message; };');
+      try {
+        loadResetDelivery({ RESET_DELIVERY_MODULE: modulePath });
+        await forgot();
+
+        expect(global.__resetMessage.user.username).toBe('ash');
+        expect(outbox).toHaveLength(0);
+      } finally {
+        delete global.__resetMessage;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject a module that does not export a function', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reset-delivery-'));
+      const modulePath = path.join(dir, 'hook.js');
+      fs.writeFileSync(modulePath, 'module.exports = {};');
+      try {
+        expect(() => loadResetDelivery({ RESET_DELIVERY_MODULE: modulePath })).toThrow('must export');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should refuse to start in production without a hook', () => {
+      expect(() => loadResetDelivery({ NODE_ENV: 'production' })).toThrow('RESET_DELIVERY_MODULE');
+      expect(() => loadResetDelivery({ NODE_ENV: 'development' })).not.toThrow();
+    });
+  });
+});
@@ -18,9 +18,11 @@ describe('Pokemon Routes', () => {
   let authToken;
 
   beforeAll(async () => {
+    const credentials = { username: 'ash', password: 'pikachu-123' };
+    await request(app).post('/api/auth/register').send(credentials);
     const res = await request(app)
       .post('/api/auth/login')
-      .send({ username: 'admin', password: 'admin' });
+      .send(credentials);
     authToken = res.body.data.token;
   });
 
@@ -239,6 +241,123 @@ describe('Pokemon Routes', () => {
       expect(res.body.success).toBe(true);
     });
 
+    describe('filters', () => {
+      const pokemonUrl = (id) => `https://pokeapi.co/api/v2/pokemon/${id}/`;
+      const speciesUrl = (id) => `https://pokeapi.co/api/v2/pokemon-species/${id}/`;
+
+      const mockList = {
+        data: {
+          results: [
+            { name: 'bulbasaur', url: pokemonUrl(1) },
+            { name: 'charmander', url: pokemonUrl(4) },
+            { name: 'charmeleon', url: pokemonUrl(5) },
+            { name: 'zubat', url: pokemonUrl(41) },
+            { name: 'cyndaquil', url: pokemonUrl(155) },
+            { name: 'charizard-mega-x', url: pokemonUrl(10034) }
+          ]
+        }
+      };
+
+      const resources = {
+        'type/fire': {
+          pokemon: [4, 5, 155, 10034].map(id => ({ pokemon: { name: `p${id}`, url: pokemonUrl(id) } }))
+        },
+        'type/poison': {
+          pokemon: [1, 41].map(id => ({ pokemon: { name: `p${id}`, url: pokemonUrl(id) } }))
+        },
+        'generation/1': {
+          pokemon_species: [1, 4, 5, 41].map(id => ({ name: `s${id}`, url: speciesUrl(id) }))
+        },
+        'pokemon-habitat/cave': {
+          pokemon_species: [41].map(id => ({ name: `s${id}`, url: speciesUrl(id) }))
+        },
+        'pokemon-habitat/mountain': {
+          pokemon_species: [4, 5].map(id => ({ name: `s${id}`, url: speciesUrl(id) }))
+        }
+      };
+
+      beforeEach(() => {
+        axios.get.mockImplementation((url) => {
+          if (url.includes('pokemon?limit=1500')) {
+            return Promise.resolve(mockList);
+          }
+          const resource = Object.keys(resources).find(key => url.endsWith(`/${key}`));
+          if (resource) {
+            return Promise.resolve({ data: resources[resource] });
+          }
+          const detail = url.match(/\/pokemon\/([a-z-]+)$/);
+          if (detail) {
+            const entry = mockList.data.results.find(p => p.name === detail[1]);
+            const id = parseInt(entry.url.split('/').filter(Boolean).pop());
+            return Promise.resolve({
+              data: {
+                id,
+                name: entry.name,
+                sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+                types: []
+              }
+            });
+          }
+          return Promise.reject({ message: 'Not found', response: { status: 404 } });
+        });
+      });
+
+      const list = (query) => request(app)
+        .get(`/api/pokemons?${query}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      it('should filter by type', async () => {
+        const res = await list('type=fire');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.results.map(p => p.name))
+          .toEqual(['charmander', 'charmeleon', 'cyndaquil', 'charizard-mega-x']);
+        expect(res.body.data.pagination.total).toBe(4);
+      });
+
+      it('should combine filters with AND and values with OR', async () => {
+        const res = await list('type=fire,poison&generation=1&habitat=mountain');
+
+        expect(res.body.data.results.map(p => p.name)).toEqual(['charmander', 'charmeleon']);
+      });
+
+      it('should combine filters with search, sort and pagination', async () => {
+        const res = await list('type=fire&search=char&sortBy=name&sortOrder=desc&limit=1&offset=1');
+
+        expect(res.body.data.results.map(p => p.name)).toEqual(['charmander']);
+        expect(res.body.data.pagination).toMatchObject({ total: 3, hasNext: true, hasPrev: true });
+      });
+
+      it('should filter by habitat', async () => {
+        const res = await list('habitat=cave');
+
+        expect(res.body.data.results.map(p => p.name)).toEqual(['zubat']);
+        expect(axios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon-habitat/cave');
+      });
+
+      it('should reuse the cached index', async () => {
+        await list('type=fire');
+        await list('type=fire&offset=2');
+
+        const typeCalls = axios.get.mock.calls.filter(([url]) => url.endsWith('/type/fire'));
+        expect(typeCalls).toHaveLength(1);
+      });
+
+      it('should reject unknown filter values', async () => {
+        const res = await list('type=plasma');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Unknown type: plasma');
+      });
+
+      it('should reject malformed filter values', async () => {
+        const res = await list('generation=../users');
+
+        expect(res.status).toBe(400);
+        expect(axios.get).not.toHaveBeenCalled();
+      });
+    });
+
     it('should require authentication', async () => {
       const res = await request(app)
         .get('/api/pokemons');
@@ -262,6 +381,54 @@ describe('Pokemon Routes', () => {
   });
 
   describe('GET /api/pokemons/number/:numbers', () => {
+    it('should number alternate forms by their species', async () => {
+      const pokemonUrl = (id) => `https://pokeapi.co/api/v2/pokemon/${id}/`;
+      const mockPokemonList = {
+        data: {
+          results: [
+            { name: 'venusaur', url: pokemonUrl(3) },
+            { name: 'charmander', url: pokemonUrl(4) },
+            { name: 'deoxys-normal', url: pokemonUrl(386) },
+            { name: 'mr-mime', url: pokemonUrl(122) },
+            { name: 'mr-rime', url: pokemonUrl(866) },
+            { name: 'deoxys-attack', url: pokemonUrl(10001) },
+            { name: 'venusaur-mega', url: pokemonUrl(10033) },
+            { name: 'mr-mime-galar', url: pokemonUrl(10168) }
+          ]
+        }
+      };
+
+      axios.get.mockImplementation((url) => {
+        if (url.includes('pokemon?limit=1500')) {
+          return Promise.resolve(mockPokemonList);
+        }
+        const entry = mockPokemonList.data.results.find(p => url.endsWith(`/pokemon/${p.name}`));
+        if (entry) {
+          return Promise.resolve({
+            data: {
+              id: Number(entry.url.match(/(\d+)\/$/)[1]),
+              name: entry.name,
+              sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+              types: []
+            }
+          });
+        }
+        return Promise.reject(new Error('Unexpected URL'));
+      });
+
+      const byNumber = await request(app)
+        .get('/api/pokemons/number/3,386')
+        .set('Authorization', `Bearer ${authToken}`);
+      const sorted = await request(app)
+        .get('/api/pokemons?sortBy=number')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(byNumber.body.data.results.map(p => p.name)).toEqual(['venusaur', 'venusaur-mega', 'deoxys-normal', 'deoxys-attack']);
+      expect(sorted.body.data.results.map(p => p.name)).toEqual([
+        'venusaur', 'venusaur-mega', 'charmander', 'mr-mime', 'mr-mime-galar', 'deoxys-normal', 'deoxys-attack', 'mr-rime'
+      ]);
+    });
+
     it('should return pokemon by number', async () => {
       const mockPokemonList = {
         data: {
@@ -594,9 +761,49 @@ describe('Pokemon Routes', () => {
       expect(res.body.data.id).toBe(10026);
     });
 
+    it('should not cache a detail when the species request fails', async () => {
+      const mockPokemon = {
+        id: 25,
+        name: 'pikachu',
+        sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+        types: [{ type: { name: 'electric' } }],
+        height: 4,
+        weight: 60,
+        abilities: [],
+        moves: [],
+        stats: [],
+        species: { url: 'https://pokeapi.co/api/v2/pokemon-species/25/' }
+      };
+      let speciesUp = false;
+
+      axios.get.mockImplementation((url) => {
+        if (url.includes('pokemon-species/25')) {
+          return speciesUp
+            ? Promise.resolve({ data: { varieties: [], genera: [], flavor_text_entries: [], generation: { name: 'generation-i' } } })
+            : Promise.reject({ message: 'Service Unavailable', response: { status: 503, statusText: 'Service Unavailable' } });
+        }
+        if (url.endsWith('/pokemon/25')) {
+          return Promise.resolve({ data: mockPokemon });
+        }
+        return Promise.reject(new Error('Unexpected URL'));
+      });
+
+      const failed = await request(app)
+        .get('/api/pokemons/25')
+        .set('Authorization', `Bearer ${authToken}`);
+      speciesUp = true;
+      const recovered = await request(app)
+        .get('/api/pokemons/25')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(failed.status).toBe(503);
+      expect(recovered.status).toBe(200);
+      expect(recovered.body.data.generation).toBe('generation-i');
+    });
+
     it('should reject invalid id', async () => {
       const res = await request(app)
-        .get('/api/pokemons/invalid')
+        .get('/api/pokemons/not_a%20name!')
         .set('Authorization', `Bearer ${authToken}`);
 
       expect(res.status).toBe(400);
@@ -621,5 +828,802 @@ describe('Pokemon Routes', () => {
       expect(res.body.error).toBe('Pokemon not found');
     });
   });
+
+  describe('GET /api/pokemons/:id/evolution', () => {
+    const speciesUrl = (id) => `https://pokeapi.co/api/v2/pokemon-species/${id}/`;
+    const names = { 4: 'charmander', 5: 'charmeleon', 6: 'charizard', 133: 'eevee', 134: 'vaporeon', 196: 'espeon' };
+
+    const noDetails = {
+      min_level: null, item: null, held_item: null, known_move: null, known_move_type: null,
+      location: null, min_happiness: null, min_affection: null, min_beauty: null, time_of_day: '',
+      gender: null, party_species: null, party_type: null, relative_physical_stats: null,
+      trade_species: null, needs_overworld_rain: false, turn_upside_down: false
+    };
+
+    const chains = {
+      2: {
+        id: 2,
+        chain: {
+          species: { name: 'charmander', url: speciesUrl(4) },
+          evolution_details: [],
+          evolves_to: [{
+            species: { name: 'charmeleon', url: speciesUrl(5) },
+            evolution_details: [{ ...noDetails, trigger: { name: 'level-up' }, min_level: 16 }],
+            evolves_to: [{
+              species: { name: 'charizard', url: speciesUrl(6) },
+              evolution_details: [{ ...noDetails, trigger: { name: 'level-up' }, min_level: 36 }],
+              evolves_to: []
+            }]
+          }]
+        }
+      },
+      67: {
+        id: 67,
+        chain: {
+          species: { name: 'eevee', url: speciesUrl(133) },
+          evolution_details: [],
+          evolves_to: [
+            {
+              species: { name: 'vaporeon', url: speciesUrl(134) },
+              evolution_details: [{ ...noDetails, trigger: { name: 'use-item' }, item: { name: 'water-stone' } }],
+              evolves_to: []
+            },
+            {
+              species: { name: 'espeon', url: speciesUrl(196) },
+              evolution_details: [{ ...noDetails, trigger: { name: 'level-up' }, min_happiness: 160, time_of_day: 'day' }],
+              evolves_to: []
+            }
+          ]
+        }
+      }
+    };
+    const chainOf = { 4: 2, 5: 2, 6: 2, 133: 67, 134: 67, 196: 67 };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => {
+        const species = url.match(/pokemon-species\/(\d+)\/?$/);
+        if (species && chainOf[species[1]]) {
+          const chainUrl = `https://pokeapi.co/api/v2/evolution-chain/${chainOf[species[1]]}/`;
+          return Promise.resolve({ data: { evolution_chain: { url: chainUrl } } });
+        }
+        const chain = url.match(/evolution-chain\/(\d+)\/$/);
+        if (chain) {
+          return Promise.resolve({ data: chains[chain[1]] });
+        }
+        if (url.endsWith('/pokemon/10034')) {
+          return Promise.resolve({ data: { id: 10034, species: { url: speciesUrl(6) } } });
+        }
+        const pokemon = url.match(/\/pokemon\/(\d+)$/);
+        if (pokemon && names[pokemon[1]]) {
+          return Promise.resolve({
+            data: {
+              id: +pokemon[1],
+              name: names[pokemon[1]],
+              sprites: {
+                front_default: null,
+                other: { 'official-artwork': { front_default: `https://example.com/${pokemon[1]}.png` } }
+              },
+              types: [{ type: { name: 'normal' } }]
+            }
+          });
+        }
+        return Promise.reject({ message: 'Not found', response: { status: 404 } });
+      });
+    });
+
+    const getEvolution = (id) => request(app)
+      .get(`/api/pokemons/${id}/evolution`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('should return the chain as a tree of stages', async () => {
+      const res = await getEvolution(5);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.id).toBe(2);
+
+      const { chain } = res.body.data;
+      expect(chain).toMatchObject({
+        id: 4,
+        name: 'charmander',
+        number: 4,
+        image: 'https://example.com/4.png',
+        types: ['normal'],
+        evolutionDetails: []
+      });
+      expect(chain.evolvesTo[0]).toMatchObject({
+        name: 'charmeleon',
+        evolutionDetails: [{ trigger: 'level-up', conditions: { minLevel: 16 } }]
+      });
+      expect(chain.evolvesTo[0].evolvesTo[0].name).toBe('charizard');
+      expect(chain.evolvesTo[0].evolvesTo[0].evolvesTo).toEqual([]);
+    });
+
+    it('should describe branches with their triggers and conditions', async () => {
+      const res = await getEvolution(133);
+
+      expect(res.body.data.chain.evolvesTo).toEqual([
+        expect.objectContaining({
+          name: 'vaporeon',
+          evolutionDetails: [{ trigger: 'use-item', conditions: { item: 'water-stone' } }]
+        }),
+        expect.objectContaining({
+          name: 'espeon',
+          evolutionDetails: [{ trigger: 'level-up', conditions: { minHappiness: 160, timeOfDay: 'day' } }]
+        })
+      ]);
+    });
+
+    it('should use the species of alternate forms', async () => {
+      const res = await getEvolution(10034);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.chain.name).toBe('charmander');
+    });
+
+    it('should reject invalid id', async () => {
+      const res = await getEvolution('invalid');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      const res = await getEvolution(99999);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Pokemon not found');
+    });
+  });
+
+  describe('GET /api/pokemons/:id/moves', () => {
+    const vg = (name, id) => ({ name, url: `https://pokeapi.co/api/v2/version-group/${id}/` });
+    const learn = (method, level, group) => ({
+      level_learned_at: level,
+      move_learn_method: { name: method },
+      version_group: group
+    });
+    const RED_BLUE = vg('red-blue', 1);
+    const SCARLET_VIOLET = vg('scarlet-violet', 25);
+
+    const mockPikachu = {
+      id: 25,
+      name: 'pikachu',
+      moves: [
+        { move: { name: 'thunderbolt' }, version_group_details: [learn('machine', 0, RED_BLUE), learn('machine', 0, SCARLET_VIOLET)] },
+        { move: { name: 'thunder-shock' }, version_group_details: [learn('level-up', 1, RED_BLUE), learn('level-up', 1, SCARLET_VIOLET)] },
+        { move: { name: 'quick-attack' }, version_group_details: [learn('level-up', 16, RED_BLUE), learn('level-up', 6, SCARLET_VIOLET)] },
+        { move: { name: 'thunder' }, version_group_details: [learn('level-up', 43, RED_BLUE), learn('level-up', 62, SCARLET_VIOLET), learn('machine', 0, SCARLET_VIOLET)] },
+        { move: { name: 'volt-tackle' }, version_group_details: [learn('egg', 0, SCARLET_VIOLET)] }
+      ]
+    };
+
+    const mockMoves = {
+      thunder: { type: { name: 'electric' }, power: 110, accuracy: 70, pp: 10, damage_class: { name: 'special' } },
+      'thunder-shock': { type: { name: 'electric' }, power: 40, accuracy: 100, pp: 30, damage_class: { name: 'special' } }
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => {
+        if (url.endsWith('/pokemon/25')) {
+          return Promise.resolve({ data: mockPikachu });
+        }
+        const move = url.match(/\/move\/([a-z-]+)$/);
+        if (move && mockMoves[move[1]]) {
+          return Promise.resolve({ data: mockMoves[move[1]] });
+        }
+        return Promise.reject({ message: 'Not found', response: { status: 404 } });
+      });
+    });
+
+    const getMoves = (query = '') => request(app)
+      .get(`/api/pokemons/25/moves${query}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('should list every move of the newest version group', async () => {
+      const res = await getMoves();
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.versionGroup).toBe('scarlet-violet');
+      expect(res.body.data.versionGroups).toEqual(['scarlet-violet', 'red-blue']);
+      expect(res.body.data.results).toEqual([
+        { name: 'thunder-shock', learnMethod: 'level-up', level: 1 },
+        { name: 'quick-attack', learnMethod: 'level-up', level: 6 },
+        { name: 'thunder', learnMethod: 'level-up', level: 62 },
+        { name: 'volt-tackle', learnMethod: 'egg', level: null },
+        { name: 'thunder', learnMethod: 'machine', level: null },
+        { name: 'thunderbolt', learnMethod: 'machine', level: null }
+      ]);
+      expect(res.body.data.pagination.total).toBe(6);
+    });
+
+    it('should filter by version group and learn method', async () => {
+      const res = await getMoves('?versionGroup=red-blue&learnMethod=level-up');
+
+      expect(res.body.data.results).toEqual([
+        { name: 'thunder-shock', learnMethod: 'level-up', level: 1 },
+        { name: 'quick-attack', learnMethod: 'level-up', level: 16 },
+        { name: 'thunder', learnMethod: 'level-up', level: 43 }
+      ]);
+    });
+
+    it('should paginate', async () => {
+      const res = await getMoves('?limit=2&offset=2');
+
+      expect(res.body.data.results.map(m => m.name)).toEqual(['thunder', 'volt-tackle']);
+      expect(res.body.data.pagination).toMatchObject({ total: 6, hasNext: true, hasPrev: true });
+    });
+
+    it('should include move details on request', async () => {
+      const res = await getMoves('?learnMethod=level-up&limit=1&details=true');
+
+      expect(res.body.data.results).toEqual([{
+        name: 'thunder-shock',
+        learnMethod: 'level-up',
+        level: 1,
+        type: 'electric',
+        power: 40,
+        accuracy: 100,
+        pp: 30,
+        damageClass: 'special'
+      }]);
+      expect(axios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/move/thunder-shock');
+      expect(axios.get).not.toHaveBeenCalledWith('https://pokeapi.co/api/v2/move/quick-attack');
+    });
+
+    it('should leave the details of an unknown move empty', async () => {
+      const res = await getMoves('?details=true');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results.find(m => m.name === 'quick-attack')).toEqual({
+        name: 'quick-attack',
+        learnMethod: 'level-up',
+        level: 6,
+        type: null,
+        power: null,
+        accuracy: null,
+        pp: null,
+        damageClass: null
+      });
+    });
+
+    it('should reject a version group the Pokémon has no data for', async () => {
+      const res = await getMoves('?versionGroup=gold-silver');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Version group must be one of: scarlet-violet, red-blue');
+    });
+
+    it('should reject unknown learn methods', async () => {
+      const res = await getMoves('?learnMethod=level-up,levelup');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^Learn method must be one of: level-up, egg/);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/99999/moves')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/pokemons/compare', () => {
+    const mockDetail = (id, name, types, abilities, stats) => ({
+      id,
+      name,
+      sprites: { front_default: null, back_default: null, front_shiny: null, back_shiny: null, other: { 'official-artwork': { front_default: null } } },
+      types: types.map(type => ({ type: { name: type } })),
+      height: 10,
+      weight: 100,
+      abilities: abilities.map(ability => ({ ability: { name: ability }, is_hidden: false })),
+      moves: [],
+      stats: Object.entries(stats).map(([stat, value]) => ({ stat: { name: stat }, base_stat: value }))
+    });
+
+    const mockPokemon = {
+      1: mockDetail(1, 'bulbasaur', ['grass', 'poison'], ['overgrow', 'chlorophyll'], { hp: 45, attack: 49, speed: 45 }),
+      2: mockDetail(2, 'ivysaur', ['grass', 'poison'], ['overgrow', 'chlorophyll'], { hp: 60, attack: 62, speed: 60 }),
+      43: mockDetail(43, 'oddish', ['grass', 'poison'], ['chlorophyll', 'run-away'], { hp: 45, attack: 50, speed: 30 }),
+      4: mockDetail(4, 'charmander', ['fire'], ['blaze', 'solar-power'], { hp: 39, attack: 52, speed: 65 })
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => {
+        const pokemon = url.match(/\/pokemon\/(\d+)$/);
+        if (pokemon && mockPokemon[pokemon[1]]) {
+          return Promise.resolve({ data: mockPokemon[pokemon[1]] });
+        }
+        return Promise.reject({ message: 'Not found', response: { status: 404 } });
+      });
+    });
+
+    const compare = (ids) => request(app)
+      .get(`/api/pokemons/compare?ids=${ids}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('should return details and aligned stats in request order', async () => {
+      const res = await compare('4,1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.pokemon.map(p => p.name)).toEqual(['charmander', 'bulbasaur']);
+      expect(res.body.data.pokemon[0]).toMatchObject({ genus: 'Unknown', baseStatTotal: 156 });
+      expect(res.body.data.stats).toEqual([
+        { name: 'hp', values: [39, 45], leaders: [1] },
+        { name: 'attack', values: [52, 49], leaders: [4] },
+        { name: 'speed', values: [65, 45], leaders: [4] }
+      ]);
+      expect(res.body.data.baseStatTotal).toEqual({ values: [156, 139], leaders: [4] });
+    });
+
+    it('should report every leader on a tie', async () => {
+      const res = await compare('1,43');
+
+      expect(res.body.data.stats[0]).toEqual({ name: 'hp', values: [45, 45], leaders: [1, 43] });
+    });
+
+    it('should report shared and unique types and shared abilities', async () => {
+      const res = await compare('1,43,4');
+
+      expect(res.body.data.types).toEqual({
+        shared: [],
+        unique: { 1: [], 43: [], 4: ['fire'] }
+      });
+      expect(res.body.data.abilities.shared).toEqual([]);
+
+      const grass = await compare('1,2,43');
+      expect(grass.body.data.types.shared).toEqual(['grass', 'poison']);
+      expect(grass.body.data.abilities.shared).toEqual(['chlorophyll']);
+    });
+
+    it('should reuse the detail cache', async () => {
+      await request(app).get('/api/pokemons/1').set('Authorization', `Bearer ${authToken}`);
+      axios.get.mockClear();
+
+      await compare('1,4');
+
+      expect(axios.get).not.toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon/1');
+      expect(axios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon/4');
+    });
+
+    it('should reject invalid ids', async () => {
+      const res = await compare('1,abc');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid Pokemon ID: abc');
+    });
+
+    it('should require between 2 and 6 pokemon', async () => {
+      expect((await compare('1')).status).toBe(400);
+      expect((await compare('1,1')).status).toBe(400);
+      expect((await compare('1,2,3,4,5,6,7')).status).toBe(400);
+      expect((await request(app).get('/api/pokemons/compare').set('Authorization', `Bearer ${authToken}`)).status).toBe(400);
+    });
+
+    it('should name the pokemon that do not exist', async () => {
+      const res = await compare('1,99999');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Pokemon not found: 99999');
+    });
+  });
+
+  describe('localization', () => {
+    const mockPokemon = {
+      id: 25,
+      name: 'pikachu',
+      sprites: { front_default: null, back_default: null, front_shiny: null, back_shiny: null, other: { 'official-artwork': { front_default: null } } },
+      types: [{ type: { name: 'electric' } }],
+      height: 4,
+      weight: 60,
+      abilities: [],
+      moves: [],
+      stats: []
+    };
+
+    const mockSpecies = {
+      names: [
+        { language: { name: 'ja-Hrkt' }, name: 'ピカチュウ' },
+        { language: { name: 'en' }, name: 'Pikachu' },
+        { language: { name: 'fr' }, name: 'Pikachu' },
+        { language: { name: 'zh-Hant' }, name: '皮卡丘' }
+      ],
+      flavor_text_entries: [
+        { language: { name: 'en' }, flavor_text: 'It keeps its tail raised\fto monitor its surroundings.' },
+        { language: { name: 'fr' }, flavor_text: 'Il garde sa queue levée.' }
+      ],
+      genera: [
+        { language: { name: 'en' }, genus: 'Mouse Pokémon' },
+        { language: { name: 'fr' }, genus: 'Pokémon Souris' },
+        { language: { name: 'ja-Hrkt' }, genus: 'ねずみポケモン' }
+      ],
+      varieties: [],
+      habitat: { name: 'forest' },
+      generation: { name: 'generation-i' }
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => {
+        if (url.endsWith('/pokemon/25')) {
+          return Promise.resolve({ data: mockPokemon });
+        }
+        if (url.endsWith('/pokemon-species/25')) {
+          return Promise.resolve({ data: mockSpecies });
+        }
+        return Promise.reject({ message: 'Not found', response: { status: 404 } });
+      });
+    });
+
+    it('should return English by default', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/25')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.headers['content-language']).toBe('en');
+      expect(res.body.data).toMatchObject({
+        language: 'en',
+        languageFallbacks: [],
+        displayName: 'Pikachu',
+        genus: 'Mouse Pokémon',
+        description: 'It keeps its tail raised to monitor its surroundings.'
+      });
+    });
+
+    it('should localize with the lang parameter', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/25?lang=fr')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.body.data).toMatchObject({
+        language: 'fr',
+        name: 'pikachu',
+        genus: 'Pokémon Souris',
+        description: 'Il garde sa queue levée.'
+      });
+    });
+
+    it('should fall back to English per field', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/25?lang=ja-Hrkt')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.body.data).toMatchObject({
+        language: 'ja-Hrkt',
+        languageFallbacks: ['description'],
+        displayName: 'ピカチュウ',
+        genus: 'ねずみポケモン',
+        description: 'It keeps its tail raised to monitor its surroundings.'
+      });
+    });
+
+    it('should use the Accept-Language header', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/25')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Accept-Language', 'pt-BR, zh-TW;q=0.8, en;q=0.5');
+
+      expect(res.headers['content-language']).toBe('zh-Hant');
+      expect(res.body.data.displayName).toBe('皮卡丘');
+      expect(res.body.data.languageFallbacks).toEqual(['description', 'genus']);
+    });
+
+    it('should cache each language separately', async () => {
+      await request(app).get('/api/pokemons/25?lang=fr').set('Authorization', `Bearer ${authToken}`);
+      const res = await request(app).get('/api/pokemons/25?lang=en').set('Authorization', `Bearer ${authToken}`);
+      await request(app).get('/api/pokemons/25?lang=FR').set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.body.data.genus).toBe('Mouse Pokémon');
+      const speciesCalls = axios.get.mock.calls.filter(([url]) => url.endsWith('/pokemon-species/25'));
+      expect(speciesCalls).toHaveLength(2);
+    });
+
+    it('should reject unsupported languages', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/25?lang=klingon')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^Unsupported language/);
+    });
+
+    it('should reject languages named like object properties', async () => {
+      for (const lang of ['constructor', '__proto__', 'toString', 'hasOwnProperty-x']) {
+        const res = await request(app)
+          .get(`/api/pokemons/25?lang=${lang}`)
+          .set('Authorization', `Bearer ${authToken}`);
+
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+
+  describe('fuzzy search', () => {
+    const mockList = {
+      data: {
+        results: ['pikachu', 'raichu', 'mr-mime', 'pikachu-gmax', 'pichu', 'mime-jr'].map((name, i) => ({
+          name,
+          url: `https://pokeapi.co/api/v2/pokemon/${i + 1}/`
+        }))
+      }
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => {
+        if (url.includes('pokemon?limit=1500')) {
+          return Promise.resolve(mockList);
+        }
+        const name = url.split('/').pop();
+        return Promise.resolve({
+          data: {
+            id: mockList.data.results.findIndex(p => p.name === name) + 1,
+            name,
+            sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+            types: []
+          }
+        });
+      });
+    });
+
+    const search = (query) => request(app)
+      .get(`/api/pokemons?${query}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('should find names with typos', async () => {
+      const res = await search('search=pikchu');
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['pikachu', 'pikachu-gmax', 'pichu']);
+    });
+
+    it('should ignore spaces and punctuation', async () => {
+      const res = await search('search=Mr.%20Mime');
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['mr-mime']);
+    });
+
+    it('should rank exact, prefix and substring matches by default', async () => {
+      const res = await search('search=pichu,pikachu');
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['pikachu', 'pichu', 'pikachu-gmax']);
+    });
+
+    it('should keep the requested sort order', async () => {
+      const res = await search('search=chu&sortBy=number');
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['pikachu', 'raichu', 'pikachu-gmax', 'pichu']);
+    });
+
+    it('should only use the cached index', async () => {
+      await search('search=raichu');
+
+      const listCalls = axios.get.mock.calls.filter(([url]) => !url.includes('pokemon?limit=1500'));
+      expect(listCalls.map(([url]) => url)).toEqual(['https://pokeapi.co/api/v2/pokemon/raichu']);
+    });
+  });
+
+  describe('stats', () => {
+    const { __statsIndex, __failures } = require('../services/statsIndex');
+
+    const baseStats = {
+      bulbasaur: [45, 49, 49, 65, 65, 45],
+      charmander: [39, 52, 43, 60, 50, 65],
+      pikachu: [35, 55, 40, 50, 50, 90],
+      mewtwo: [106, 110, 90, 154, 90, 130],
+      jolteon: [65, 65, 60, 110, 95, 130]
+    };
+    const names = Object.keys(baseStats);
+    const statNames = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+    beforeEach(() => {
+      __statsIndex.clear();
+      __failures.clear();
+      axios.get.mockImplementation((url) => {
+        if (url.includes('pokemon?limit=1500')) {
+          return Promise.resolve({
+            data: { results: names.map((name, i) => ({ name, url: `https://pokeapi.co/api/v2/pokemon/${i + 1}/` })) }
+          });
+        }
+        const name = url.split('/').pop();
+        if (!baseStats[name]) {
+          return Promise.reject({ message: 'Network error' });
+        }
+        return Promise.resolve({
+          data: {
+            id: names.indexOf(name) + 1,
+            name,
+            sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+            types: [],
+            stats: baseStats[name].map((value, i) => ({ stat: { name: statNames[i] }, base_stat: value }))
+          }
+        });
+      });
+    });
+
+    const list = (query) => request(app)
+      .get(`/api/pokemons?${query}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('should sort by a base stat', async () => {
+      const res = await list('sortBy=speed&sortOrder=desc');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results.map(p => p.name))
+        .toEqual(['mewtwo', 'jolteon', 'pikachu', 'charmander', 'bulbasaur']);
+      expect(res.body.data.results[0].stats).toEqual({
+        hp: 106, attack: 110, defense: 90, specialAttack: 154, specialDefense: 90, speed: 130, total: 680
+      });
+    });
+
+    it('should sort by base stat total', async () => {
+      const res = await list('sortBy=total');
+
+      expect(res.body.data.results.map(p => p.stats.total)).toEqual([309, 318, 320, 525, 680]);
+      expect(res.body.data.results[0].name).toBe('charmander');
+    });
+
+    it('should filter by stat ranges with correct pagination', async () => {
+      const res = await list('minSpeed=65&maxTotal=600&sortBy=speed&limit=2&offset=1');
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['pikachu', 'jolteon']);
+      expect(res.body.data.pagination).toMatchObject({ total: 3, hasNext: false, hasPrev: true });
+    });
+
+    it('should combine stat ranges with search', async () => {
+      const res = await list('search=char,pika&minSpecialAttack=55');
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['charmander']);
+    });
+
+    it('should build the index once', async () => {
+      await list('sortBy=attack');
+      axios.get.mockClear();
+
+      await list('sortBy=defense&limit=1');
+
+      const detailCalls = axios.get.mock.calls.filter(([url]) => !url.includes('pokemon?limit=1500'));
+      expect(detailCalls).toHaveLength(0);
+    });
+
+    it('should write the index in batches', async () => {
+      const set = jest.spyOn(__statsIndex, 'set');
+      const setMany = jest.spyOn(__statsIndex, 'setMany');
+      try {
+        await list('sortBy=attack');
+
+        expect(set).not.toHaveBeenCalled();
+        expect(setMany).toHaveBeenCalledTimes(1);
+        expect(setMany.mock.calls[0][0]).toHaveLength(names.length);
+      } finally {
+        set.mockRestore();
+        setMany.mockRestore();
+      }
+    });
+
+    it('should refetch stale entries', async () => {
+      await list('sortBy=hp');
+      const stale = __statsIndex.get('pikachu');
+      __statsIndex.set('pikachu', { ...stale, stats: { ...stale.stats, hp: 1 }, updatedAt: '2000-01-01T00:00:00.000Z' });
+
+      const res = await list('sortBy=hp&limit=1');
+
+      expect(res.body.data.results[0].name).toBe('pikachu');
+      expect(__statsIndex.get('pikachu').stats.hp).toBe(35);
+    });
+
+    it('should reject invalid stat ranges', async () => {
+      const res = await list('minSpeed=fast');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Stat ranges must be non-negative integers');
+    });
+  });
+
+  describe('lookup by name and form', () => {
+    const sprites = { front_default: null, back_default: null, front_shiny: null, back_shiny: null, other: { 'official-artwork': { front_default: null } } };
+    const mockPokemon = (id, name, speciesId) => ({
+      id,
+      name,
+      sprites,
+      types: [],
+      height: 17,
+      weight: 905,
+      abilities: [],
+      moves: [],
+      stats: [],
+      species: { name: 'charizard', url: `https://pokeapi.co/api/v2/pokemon-species/${speciesId}/` }
+    });
+
+    const pokemon = {
+      6: mockPokemon(6, 'charizard', 6),
+      10034: mockPokemon(10034, 'charizard-mega-x', 6),
+      386: mockPokemon(386, 'deoxys-normal', 386)
+    };
+    const byName = Object.fromEntries(Object.values(pokemon).map(p => [p.name, p]));
+
+    const mockSpecies = {
+      6: {
+        names: [{ language: { name: 'en' }, name: 'Charizard' }],
+        flavor_text_entries: [],
+        genera: [],
+        varieties: [
+          { is_default: true, pokemon: { name: 'charizard', url: 'https://pokeapi.co/api/v2/pokemon/6/' } },
+          { is_default: false, pokemon: { name: 'charizard-mega-x', url: 'https://pokeapi.co/api/v2/pokemon/10034/' } }
+        ],
+        habitat: { name: 'mountain' },
+        generation: { name: 'generation-i' }
+      },
+      386: {
+        names: [],
+        flavor_text_entries: [],
+        genera: [],
+        varieties: [
+          { is_default: true, pokemon: { name: 'deoxys-normal', url: 'https://pokeapi.co/api/v2/pokemon/386/' } }
+        ],
+        generation: { name: 'generation-iii' }
+      }
+    };
+
+    beforeEach(() => {
+      axios.get.mockImplementation((url) => {
+        const species = url.match(/pokemon-species\/([a-z0-9-]+)\/?$/);
+        if (species) {
+          const data = species[1] === 'deoxys' ? mockSpecies[386] : mockSpecies[species[1]];
+          return data ? Promise.resolve({ data }) : Promise.reject({ message: 'Not found', response: { status: 404 } });
+        }
+        const ref = url.match(/\/pokemon\/([a-z0-9-]+)$/)?.[1];
+        const data = pokemon[ref] || byName[ref];
+        return data ? Promise.resolve({ data }) : Promise.reject({ message: 'Not found', response: { status: 404 } });
+      });
+    });
+
+    const getDetail = (ref) => request(app)
+      .get(`/api/pokemons/${ref}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('should look up by name', async () => {
+      const res = await getDetail('Charizard');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: 6, name: 'charizard', number: 6 });
+    });
+
+    it('should use the national dex number for forms', async () => {
+      const res = await getDetail('charizard-mega-x');
+
+      expect(res.body.data).toMatchObject({ id: 10034, name: 'charizard-mega-x', number: 6, displayName: 'Charizard' });
+    });
+
+    it('should link each form to its own detail', async () => {
+      const res = await getDetail('6');
+
+      expect(res.body.data.forms).toEqual([
+        { id: 6, name: 'charizard', isDefault: true, href: '/api/pokemons/charizard' },
+        { id: 10034, name: 'charizard-mega-x', isDefault: false, href: '/api/pokemons/charizard-mega-x' }
+      ]);
+    });
+
+    it('should resolve species names to their default form', async () => {
+      const res = await getDetail('deoxys');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: 386, name: 'deoxys-normal', number: 386 });
+    });
+
+    it('should share one record between id and name', async () => {
+      const byId = await getDetail('10034');
+      const bySlug = await getDetail('charizard-mega-x');
+
+      expect(bySlug.body.data).toEqual(byId.body.data);
+      const speciesCalls = axios.get.mock.calls.filter(([url]) => url.includes('pokemon-species'));
+      expect(speciesCalls).toHaveLength(1);
+    });
+
+    it('should return 404 for unknown names', async () => {
+      const res = await getDetail('missingno');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Pokemon not found');
+    });
+  });
 });
 
@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { cache } = require('../services/pokeapi');
+const { __progress } = require('../services/progress');
+
+jest.mock('axios');
+
+const pokemonUrl = (id) => `https://pokeapi.co/api/v2/pokemon/${id}/`;
+const speciesUrl = (id) => `https://pokeapi.co/api/v2/pokemon-species/${id}/`;
+
+const mockList = {
+  results: [
+    { name: 'bulbasaur', url: pokemonUrl(1) },
+    { name: 'charmander', url: pokemonUrl(4) },
+    { name: 'squirtle', url: pokemonUrl(7) },
+    { name: 'chikorita', url: pokemonUrl(152) },
+    { name: 'charizard-mega-x', url: pokemonUrl(10034) }
+  ]
+};
+
+const mockGenerations = {
+  'generation-i': { pokemon_species: [1, 4, 7].map(id => ({ url: speciesUrl(id) })) },
+  'generation-ii': { pokemon_species: [{ url: speciesUrl(152) }] }
+};
+
+const mockTypes = {
+  grass: [1, 152],
+  fire: [4, 10034],
+  water: [7]
+};
+
+const mockPokemon = (id, name) => ({
+  id,
+  name,
+  sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+  types: []
+});
+
+describe('Pokedex Progress Routes', () => {
+  let authToken;
+
+  beforeAll(async () => {
+    const credentials = { username: 'ethan', password: 'cyndaquil-1' };
+    await request(app).post('/api/auth/register').send(credentials);
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    authToken = res.body.data.token;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    __progress.clear();
+    axios.get.mockImplementation((url) => {
+      if (url.includes('pokemon?limit=')) {
+        return Promise.resolve({ data: mockList });
+      }
+      if (url.endsWith('/generation')) {
+        return Promise.resolve({ data: { results: Object.keys(mockGenerations).map(name => ({ name })) } });
+      }
+      const [, resource, name] = url.match(/\/([a-z-]+)\/([a-z0-9-]+)$/) || [];
+      if (resource === 'generation' && mockGenerations[name]) {
+        return Promise.resolve({ data: mockGenerations[name] });
+      }
+      if (resource === 'type') {
+        return Promise.resolve({ data: { pokemon: (mockTypes[name] || []).map(id => ({ pokemon: { url: pokemonUrl(id) } })) } });
+      }
+      if (resource === 'pokemon') {
+        const found = mockList.results.find(p => p.name === name || p.url === pokemonUrl(name));
+        if (found) {
+          const id = Number(found.url.match(/(\d+)\/$/)[1]);
+          return Promise.resolve({ data: mockPokemon(id, found.name) });
+        }
+      }
+      return Promise.reject({ message: 'Not found', response: { status: 404 } });
+    });
+  });
+
+  const auth = (req) => req.set('Authorization', `Bearer ${authToken}`);
+
+  describe('PUT /api/me/pokedex/:id', () => {
+    it('should mark a Pokemon as seen or caught', async () => {
+      const res = await auth(request(app).put('/api/me/pokedex/charmander').send({ status: 'caught' }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ id: 4, status: 'caught', updatedAt: expect.any(String) });
+
+      const list = await auth(request(app).get('/api/me/pokedex'));
+      expect(list.body.data.results).toEqual([{ id: 4, status: 'caught', updatedAt: expect.any(String) }]);
+    });
+
+    it('should clear a status with missing', async () => {
+      await auth(request(app).put('/api/me/pokedex/4').send({ status: 'seen' }));
+
+      const res = await auth(request(app).put('/api/me/pokedex/4').send({ status: 'missing' }));
+
+      expect(res.body.data).toEqual({ id: 4, status: 'missing', updatedAt: null });
+      const list = await auth(request(app).get('/api/me/pokedex'));
+      expect(list.body.data.results).toEqual([]);
+    });
+
+    it('should reject an unknown status', async () => {
+      const res = await auth(request(app).put('/api/me/pokedex/4').send({ status: 'owned' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Status must be one of: seen, caught, missing');
+    });
+
+    it('should return 404 for an unknown Pokemon', async () => {
+      const res = await auth(request(app).put('/api/me/pokedex/missingno').send({ status: 'seen' }));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/me/pokedex', () => {
+    it('should update several Pokemon at once', async () => {
+      const res = await auth(request(app).patch('/api/me/pokedex').send({ pokemon: ['bulbasaur', 4, 7, 4], status: 'caught' }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ updated: 3, status: 'caught' });
+
+      const list = await auth(request(app).get('/api/me/pokedex'));
+      expect(list.body.data.results.map(e => e.id)).toEqual([1, 4, 7]);
+    });
+
+    it('should change nothing if a Pokemon is unknown', async () => {
+      const res = await auth(request(app).patch('/api/me/pokedex').send({ pokemon: [1, 'missingno'], status: 'seen' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown Pokemon: missingno');
+      const list = await auth(request(app).get('/api/me/pokedex'));
+      expect(list.body.data.results).toEqual([]);
+    });
+
+    it('should require a non-empty list', async () => {
+      const res = await auth(request(app).patch('/api/me/pokedex').send({ pokemon: [], status: 'seen' }));
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/me/pokedex/summary', () => {
+    it('should report completion overall, per generation and per type', async () => {
+      await auth(request(app).patch('/api/me/pokedex').send({ pokemon: [1, 4], status: 'caught' }));
+      await auth(request(app).patch('/api/me/pokedex').send({ pokemon: [152, 'charizard-mega-x'], status: 'seen' }));
+
+      const res = await auth(request(app).get('/api/me/pokedex/summary'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.overall).toEqual({ total: 4, seen: 3, caught: 2, missing: 1, seenPercent: 75, caughtPercent: 50 });
+      expect(res.body.data.generations).toEqual([
+        { generation: 'generation-i', total: 3, seen: 2, caught: 2, missing: 1, seenPercent: 66.7, caughtPercent: 66.7 },
+        { generation: 'generation-ii', total: 1, seen: 1, caught: 0, missing: 0, seenPercent: 100, caughtPercent: 0 }
+      ]);
+      const byType = Object.fromEntries(res.body.data.types.map(({ type, ...counts }) => [type, counts]));
+      expect(byType.fire).toEqual({ total: 1, seen: 1, caught: 1, missing: 0, seenPercent: 100, caughtPercent: 100 });
+      expect(byType.grass).toEqual({ total: 2, seen: 2, caught: 1, missing: 0, seenPercent: 100, caughtPercent: 50 });
+      expect(byType.dragon).toEqual({ total: 0, seen: 0, caught: 0, missing: 0, seenPercent: 0, caughtPercent: 0 });
+    });
+  });
+
+  describe('GET /api/pokemons?status=', () => {
+    beforeEach(async () => {
+      await auth(request(app).put('/api/me/pokedex/bulbasaur').send({ status: 'caught' }));
+      await auth(request(app).put('/api/me/pokedex/charmander').send({ status: 'seen' }));
+    });
+
+    it('should filter by status', async () => {
+      const caught = await auth(request(app).get('/api/pokemons?status=caught'));
+      const missing = await auth(request(app).get('/api/pokemons?status=missing'));
+
+      expect(caught.body.data.results.map(p => p.name)).toEqual(['bulbasaur']);
+      expect(missing.body.data.results.map(p => p.name)).toEqual(['squirtle', 'chikorita', 'charizard-mega-x']);
+    });
+
+    it('should combine with search and pagination', async () => {
+      const res = await auth(request(app).get('/api/pokemons?status=seen,missing&search=char&limit=1'));
+
+      expect(res.body.data.results.map(p => p.name)).toEqual(['charmander']);
+      expect(res.body.data.pagination).toEqual({ total: 2, limit: 1, offset: 0, hasNext: true, hasPrev: false });
+    });
+
+    it('should reject an unknown status', async () => {
+      const res = await auth(request(app).get('/api/pokemons?status=owned'));
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { normalize, editDistance, matchName, searchByName } = require('../services/search');
+
+describe('search', () => {
+  describe('normalize', () => {
+    it('should ignore case, spaces, punctuation and accents', () => {
+      expect(normalize('Mr. Mime')).toBe('mrmime');
+      expect(normalize('mr-mime')).toBe('mrmime');
+      expect(normalize("Farfetch'd")).toBe('farfetchd');
+      expect(normalize('Flabébé')).toBe('flabebe');
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('pikachu', 'pikachu')).toBe(0);
+      expect(editDistance('pikchu', 'pikachu')).toBe(1);
+      expect(editDistance('pikachuu', 'pikachu')).toBe(1);
+      expect(editDistance('pikqchu', 'pikachu')).toBe(1);
+      expect(editDistance('pikahcu', 'pikachu')).toBe(1);
+      expect(editDistance('', 'abc')).toBe(3);
+    });
+  });
+
+  describe('matchName', () => {
+    it('should rank exact, prefix, substring and fuzzy matches', () => {
+      expect(matchName('pikachu', 'pikachu')).toEqual({ tier: 0, distance: 0 });
+      expect(matchName('pikachu-gmax', 'pikachu')).toEqual({ tier: 1, distance: 0 });
+      expect(matchName('raichu', 'chu')).toEqual({ tier: 2, distance: 0 });
+      expect(matchName('pikachu', 'pikchu')).toEqual({ tier: 3, distance: 1 });
+    });
+
+    it('should match fuzzy terms against the start of longer names', () => {
+      expect(matchName('charmander', 'charmnd')).toMatchObject({ tier: 3 });
+    });
+
+    it('should not allow typos in short terms', () => {
+      expect(matchName('mew', 'mow')).toBeNull();
+    });
+
+    it('should not match names too far away', () => {
+      expect(matchName('bulbasaur', 'pikchu')).toBeNull();
+    });
+  });
+
+  describe('searchByName', () => {
+    const items = ['mr-mime', 'mime-jr', 'pikachu', 'raichu'].map(name => ({ name }));
+
+    it('should match any comma-separated term with its best match', () => {
+      const results = searchByName(items, 'mr mime, pikchu');
+
+      expect(results).toEqual([
+        { name: 'mr-mime', match: { tier: 0, distance: 0 } },
+        { name: 'pikachu', match: { tier: 3, distance: 1 } }
+      ]);
+    });
+
+    it('should ignore empty terms', () => {
+      expect(searchByName(items, ' , ')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { __users } = require('../services/users');
+const { __sessions } = require('../services/sessions');
+
+describe('Session Routes', () => {
+  const trainer = { username: 'ash', password: 'pikachu-123' };
+
+  const login = async (userAgent = 'PokeApp/1.0') => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send(trainer);
+    return res.body.data;
+  };
+
+  const listSessions = (token) => request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    __users.clear();
+    await request(app).post('/api/auth/register').send(trainer);
+  });
+
+  beforeEach(() => {
+    __sessions.clear();
+  });
+
+  it('should tie tokens to a session', async () => {
+    const { token, sessionId } = await login();
+
+    expect(sessionId).toBeDefined();
+    expect(jwt.decode(token).sid).toBe(sessionId);
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list sessions with device details', async () => {
+      await login('PokeApp/1.0 (iPhone)');
+      const { token, sessionId } = await login('Mozilla/5.0');
+
+      const res = await listSessions(token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results).toHaveLength(2);
+      const current = res.body.data.results.find(s => s.current);
+      expect(current.id).toBe(sessionId);
+      expect(current.userAgent).toBe('Mozilla/5.0');
+      expect(current.ip).toBeDefined();
+      expect(current.createdAt).toBeDefined();
+      expect(current.lastUsedAt).toBeDefined();
+      expect(res.body.data.results.map(s => s.userAgent)).toContain('PokeApp/1.0 (iPhone)');
+    });
+
+    it('should not list sessions of other users', async () => {
+      await login();
+      const other = { username: 'misty', password: 'starmie-123' };
+      await request(app).post('/api/auth/register').send(other);
+      const res = await request(app).post('/api/auth/login').send(other);
+
+      const list = await listSessions(res.body.data.token);
+
+      expect(list.body.data.results).toHaveLength(1);
+    });
+
+    it('should not list ended sessions', async () => {
+      const ended = await login();
+      const { token } = await login();
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${ended.token}`);
+
+      const res = await listSessions(token);
+
+      expect(res.body.data.results).toHaveLength(1);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/api/auth/sessions');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should end a session and refuse its tokens', async () => {
+      const phone = await login('PokeApp/1.0 (iPhone)');
+      const { token } = await login();
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${phone.sessionId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+
+      const denied = await listSessions(phone.token);
+      expect(denied.status).toBe(401);
+
+      const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken });
+      expect(refresh.status).toBe(401);
+
+      const allowed = await listSessions(token);
+      expect(allowed.status).toBe(200);
+    });
+
+    it('should return 404 for sessions of other users', async () => {
+      const mine = await login();
+      const other = { username: 'brock', password: 'onix-1234' };
+      await request(app).post('/api/auth/register').send(other);
+      const res = await request(app).post('/api/auth/login').send(other);
+
+      const attempt = await request(app)
+        .delete(`/api/auth/sessions/${mine.sessionId}`)
+        .set('Authorization', `Bearer ${res.body.data.token}`);
+
+      expect(attempt.status).toBe(404);
+      expect((await listSessions(mine.token)).status).toBe(200);
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      const { token } = await login();
+
+      const res = await request(app)
+        .delete('/api/auth/sessions/missing')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  it('should keep the session across refreshes', async () => {
+    const { refreshToken, sessionId } = await login();
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(jwt.decode(res.body.data.token).sid).toBe(sessionId);
+    expect((await listSessions(res.body.data.token)).body.data.results).toHaveLength(1);
+  });
+
+  it('should end every session on log out everywhere', async () => {
+    const phone = await login('PokeApp/1.0 (iPhone)');
+    const { token } = await login();
+
+    await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect((await listSessions(phone.token)).status).toBe(401);
+    const fresh = await login();
+    expect((await listSessions(fresh.token)).body.data.results).toHaveLength(1);
+  });
+});
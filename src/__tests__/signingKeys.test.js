@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { __users, findByUsername, updateUser } = require('../services/users');
+const { __signingKeys, JWKS_MAX_AGE, rotateSigningKey } = require('../services/signingKeys');
+const { ensureSigningKeys } = require('../services/tokens');
+
+describe('Signing Keys', () => {
+  const admin = { username: 'oak', password: 'professor-oak' };
+
+  const login = async () => {
+    const res = await request(app).post('/api/auth/login').send(admin);
+    return res.body.data.token;
+  };
+
+  const verify = (token) => request(app).post('/api/auth/verify').send({ token });
+
+  beforeAll(async () => {
+    __users.clear();
+    await request(app).post('/api/auth/register').send(admin);
+    updateUser(findByUsername('oak').id, { role: 'admin' });
+  });
+
+  beforeEach(() => {
+    __signingKeys.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Moves the clock forward by the given number of seconds
+  const advance = (seconds) => {
+    const now = Date.now() + seconds * 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  };
+
+  const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+  const jwksKids = async () => (await request(app).get('/.well-known/jwks.json')).body.keys.map(k => k.kid);
+
+  it('should sign tokens with RS256 and a key id', async () => {
+    const token = await login();
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header.alg).toBe('RS256');
+    expect(header.kid).toBeDefined();
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    it('should publish public keys that verify our tokens', async () => {
+      const token = await login();
+      const { header } = jwt.decode(token, { complete: true });
+
+      const res = await request(app).get('/.well-known/jwks.json');
+
+      expect(res.status).toBe(200);
+      const jwk = res.body.keys.find(k => k.kid === header.kid);
+      expect(jwk).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+      expect(jwk.d).toBeUndefined();
+
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      expect(jwt.verify(token, publicKey, { algorithms: ['RS256'] }).username).toBe('oak');
+    });
+
+    it('should let clients cache the key set for JWKS_MAX_AGE', async () => {
+      const res = await request(app).get('/.well-known/jwks.json');
+
+      expect(res.headers['cache-control']).toBe(`public, max-age=${JWKS_MAX_AGE}`);
+    });
+
+    it('should publish the keys before the first token is issued', async () => {
+      ensureSigningKeys();
+      const published = await jwksKids();
+
+      const token = await login();
+
+      expect(published).toHaveLength(2);
+      expect(published).toContain(kidOf(token));
+    });
+  });
+
+  describe('rotation', () => {
+    it('should keep verifying tokens signed with the previous key', async () => {
+      const oldToken = await login();
+
+      const res = await request(app)
+        .post('/api/auth/keys/rotate')
+        .set('Authorization', `Bearer ${oldToken}`);
+      expect(res.status).toBe(200);
+
+      advance(JWKS_MAX_AGE);
+      const newToken = await login();
+      expect(kidOf(newToken)).toBe(res.body.data.kid);
+      expect(kidOf(oldToken)).not.toBe(res.body.data.kid);
+
+      expect((await verify(oldToken)).status).toBe(200);
+      expect((await verify(newToken)).status).toBe(200);
+
+      // The previous key, the current one and the next one
+      expect(await jwksKids()).toHaveLength(3);
+    });
+
+    it('should only sign with a new key once cached key sets know it', async () => {
+      const oldToken = await login();
+      const published = await jwksKids();
+
+      const key = rotateSigningKey(900);
+
+      expect(published).toContain(key.id);
+      expect(new Date(key.activatesAt).getTime())
+        .toBeGreaterThanOrEqual(new Date(key.createdAt).getTime() + JWKS_MAX_AGE * 1000);
+      expect(kidOf(await login())).toBe(kidOf(oldToken));
+      // The current key, the scheduled one and a new next key
+      expect(await jwksKids()).toHaveLength(3);
+    });
+
+    it('should schedule a rotation when the key is due', async () => {
+      const first = kidOf(await login());
+
+      advance(31 * 24 * 60 * 60);
+      expect(kidOf(await login())).toBe(first);
+
+      jest.restoreAllMocks();
+      advance(31 * 24 * 60 * 60 + JWKS_MAX_AGE);
+      expect(kidOf(await login())).not.toBe(first);
+    });
+
+    it('should stop trusting a retired key once its tokens have expired', async () => {
+      const oldToken = await login();
+      rotateSigningKey(0);
+      advance(JWKS_MAX_AGE);
+
+      expect((await verify(oldToken)).status).toBe(401);
+
+      // The current key and the next one
+      expect(await jwksKids()).toHaveLength(2);
+    });
+
+    it('should be limited to admins', async () => {
+      const trainer = { username: 'ash', password: 'pikachu-123' };
+      await request(app).post('/api/auth/register').send(trainer);
+      const login = await request(app).post('/api/auth/login').send(trainer);
+
+      const res = await request(app)
+        .post('/api/auth/keys/rotate')
+        .set('Authorization', `Bearer ${login.body.data.token}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  it('should reject tokens signed with a shared secret', async () => {
+    const token = await login();
+    const { header, payload } = jwt.decode(token, { complete: true });
+    const forged = jwt.sign(payload, 'pokemon-secret-key-2024', { algorithm: 'HS256', keyid: header.kid });
+
+    expect((await verify(forged)).status).toBe(401);
+  });
+});
@@ -0,0 +1,481 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { cache } = require('../services/pokeapi');
+const { __teams } = require('../services/teams');
+
+jest.mock('axios');
+
+const refs = (...names) => names.map(name => ({ name, url: `https://pokeapi.co/api/v2/type/${name}/` }));
+
+const mockType = (name, { to2 = [], toHalf = [], to0 = [], from2 = [], fromHalf = [], from0 = [] }) => ({
+  name,
+  damage_relations: {
+    double_damage_to: refs(...to2),
+    half_damage_to: refs(...toHalf),
+    no_damage_to: refs(...to0),
+    double_damage_from: refs(...from2),
+    half_damage_from: refs(...fromHalf),
+    no_damage_from: refs(...from0)
+  }
+});
+
+const mockTypes = {
+  electric: mockType('electric', { to2: ['water', 'flying'], toHalf: ['electric', 'grass', 'dragon'], to0: ['ground'], from2: ['ground'], fromHalf: ['electric', 'flying', 'steel'] }),
+  water: mockType('water', { to2: ['fire', 'ground', 'rock'], toHalf: ['water', 'grass', 'dragon'], from2: ['electric', 'grass'], fromHalf: ['fire', 'water', 'ice', 'steel'] }),
+  flying: mockType('flying', { to2: ['fighting', 'bug', 'grass'], toHalf: ['rock', 'steel', 'electric'], from2: ['rock', 'electric', 'ice'], fromHalf: ['fighting', 'bug', 'grass'], from0: ['ground'] }),
+  normal: mockType('normal', { toHalf: ['rock', 'steel'], to0: ['ghost'], from2: ['fighting'], from0: ['ghost'] })
+};
+
+const mockPokemon = (id, name, types, abilities, moves) => ({
+  id,
+  name,
+  types: types.map(type => ({ type: { name: type } })),
+  abilities: abilities.map(a => ({ ability: { name: a }, is_hidden: false })),
+  moves: moves.map(m => ({ move: { name: m }, version_group_details: [] }))
+});
+
+const mockPokemons = {
+  pikachu: mockPokemon(25, 'pikachu', ['electric'], ['static', 'lightning-rod'], ['thunderbolt', 'quick-attack', 'thunder-wave']),
+  gyarados: mockPokemon(130, 'gyarados', ['water', 'flying'], ['intimidate'], ['waterfall', 'bounce']),
+  snorlax: mockPokemon(143, 'snorlax', ['normal'], ['thick-fat'], ['body-slam'])
+};
+
+const mockMoves = {
+  thunderbolt: { type: 'electric', class: 'special' },
+  'quick-attack': { type: 'normal', class: 'physical' },
+  'thunder-wave': { type: 'electric', class: 'status' },
+  waterfall: { type: 'water', class: 'physical' },
+  bounce: { type: 'flying', class: 'physical' },
+  'body-slam': { type: 'normal', class: 'physical' }
+};
+
+const mockItems = ['light-ball', 'leftovers', 'kings-rock'];
+
+const notFound = () => Promise.reject({ message: 'Not found', response: { status: 404 } });
+
+describe('Team Routes', () => {
+  let authToken;
+  let otherToken;
+
+  const login = async (credentials) => {
+    await request(app).post('/api/auth/register').send(credentials);
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    return res.body.data.token;
+  };
+
+  beforeAll(async () => {
+    authToken = await login({ username: 'red', password: 'pikachu-123' });
+    otherToken = await login({ username: 'blue', password: 'eevee-12345' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    __teams.clear();
+    axios.get.mockImplementation((url) => {
+      const [, resource, name] = url.match(/\/([a-z-]+)\/([a-z0-9-]+)$/) || [];
+      if (resource === 'pokemon') {
+        const found = mockPokemons[name] || Object.values(mockPokemons).find(p => String(p.id) === name);
+        return found ? Promise.resolve({ data: found }) : notFound();
+      }
+      if (resource === 'move' && mockMoves[name]) {
+        const { type, class: damageClass } = mockMoves[name];
+        return Promise.resolve({ data: { name, type: { name: type }, damage_class: { name: damageClass }, power: 90, accuracy: 100, pp: 15 } });
+      }
+      if (resource === 'item' && mockItems.includes(name)) {
+        return Promise.resolve({ data: { name } });
+      }
+      if (resource === 'type' && mockTypes[name]) {
+        return Promise.resolve({ data: mockTypes[name] });
+      }
+      return notFound();
+    });
+  });
+
+  const auth = (req, token = authToken) => req.set('Authorization', `Bearer ${token}`);
+
+  const pikachu = { pokemon: 'Pikachu', nickname: 'Sparky', ability: 'Static', moves: ['Thunderbolt', 'Quick Attack'], item: 'Light Ball' };
+  const gyarados = { pokemon: 130, ability: 'intimidate', moves: ['waterfall', 'bounce'], item: "King's Rock" };
+
+  const createTeam = (members = [pikachu, gyarados], token = authToken) =>
+    auth(request(app).post('/api/teams').send({ name: 'Kanto', members }), token);
+
+  describe('POST /api/teams', () => {
+    it('should create a team with normalized members', async () => {
+      const res = await createTeam();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toEqual({
+        id: expect.any(String),
+        name: 'Kanto',
+        members: [
+          { pokemon: { id: 25, name: 'pikachu' }, nickname: 'Sparky', ability: 'static', moves: ['thunderbolt', 'quick-attack'], item: 'light-ball', nature: null, evs: null, ivs: null },
+          { pokemon: { id: 130, name: 'gyarados' }, nickname: null, ability: 'intimidate', moves: ['waterfall', 'bounce'], item: 'kings-rock', nature: null, evs: null, ivs: null }
+        ],
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String)
+      });
+      expect(res.body.data.userId).toBeUndefined();
+    });
+
+    it('should report every invalid field', async () => {
+      const res = await createTeam([
+        { pokemon: 'pikachu', ability: 'intimidate', moves: ['thunderbolt', 'surf', 'thunderbolt'], item: 'mystery-box' },
+        { pokemon: 'missingno' }
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid team');
+      expect(res.body.details).toEqual([
+        { field: 'members[0].ability', message: 'pikachu cannot have the ability intimidate' },
+        { field: 'members[0].moves[1]', message: 'pikachu cannot learn surf' },
+        { field: 'members[0].moves[2]', message: 'thunderbolt is listed more than once' },
+        { field: 'members[0].item', message: 'Unknown item: mystery-box' },
+        { field: 'members[1].pokemon', message: 'Unknown Pokemon: missingno' }
+      ]);
+      expect(__teams.all()).toHaveLength(0);
+    });
+
+    it('should reject more than six members or four moves', async () => {
+      const tooMany = await createTeam(Array(7).fill(pikachu));
+      const tooManyMoves = await createTeam([{ pokemon: 'pikachu', moves: ['a', 'b', 'c', 'd', 'e'] }]);
+
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.details).toContainEqual({ field: 'members', message: 'Members must be an array of at most 6' });
+      expect(tooManyMoves.status).toBe(400);
+      expect(tooManyMoves.body.details[0].field).toBe('members[0].moves');
+    });
+
+    it('should store nature, EVs and IVs with defaults for missing stats', async () => {
+      const res = await createTeam([{ pokemon: 'pikachu', nature: 'Timid', evs: { specialAttack: 252, speed: 252, hp: 4 }, ivs: { attack: 0 } }]);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.members[0]).toMatchObject({
+        nature: 'timid',
+        evs: { hp: 4, attack: 0, defense: 0, specialAttack: 252, specialDefense: 0, speed: 252 },
+        ivs: { hp: 31, attack: 0, defense: 31, specialAttack: 31, specialDefense: 31, speed: 31 }
+      });
+    });
+
+    it('should reject invalid nature, EVs and IVs', async () => {
+      const res = await createTeam([{ pokemon: 'pikachu', nature: 'sleepy', evs: { speed: 252, attack: 252, hp: 8 }, ivs: { luck: 31 } }]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(d => d.field)).toEqual(['members[0].nature', 'members[0].evs', 'members[0].ivs']);
+    });
+
+    it('should reject EV and IV keys named like object properties', async () => {
+      const body = '{"name":"Kanto","members":[{"pokemon":"pikachu","evs":{"constructor":999,"__proto__":5},"ivs":{"toString":1}}]}';
+
+      const res = await auth(request(app).post('/api/teams').set('Content-Type', 'application/json').send(body));
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(d => d.field)).toEqual(['members[0].evs', 'members[0].ivs']);
+    });
+
+    it('should require a name', async () => {
+      const res = await auth(request(app).post('/api/teams').send({ members: [] }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([{ field: 'name', message: 'Name is required (max 64 characters)' }]);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).post('/api/teams').send({ name: 'Kanto', members: [] });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/teams', () => {
+    it('should list only the current user\'s teams', async () => {
+      await createTeam();
+      await createTeam([pikachu], otherToken);
+
+      const res = await auth(request(app).get('/api/teams'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results).toHaveLength(1);
+      expect(res.body.data.results[0].members).toHaveLength(2);
+    });
+  });
+
+  describe('GET /api/teams/:id', () => {
+    it('should return a team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app).get(`/api/teams/${created.body.data.id}`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(created.body.data);
+    });
+
+    it('should not return another user\'s team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app).get(`/api/teams/${created.body.data.id}`), otherToken);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/teams/:id', () => {
+    it('should replace a team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app)
+        .put(`/api/teams/${created.body.data.id}`)
+        .send({ name: 'Rematch', members: [{ pokemon: 'snorlax', item: 'leftovers' }] }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.name).toBe('Rematch');
+      expect(res.body.data.members.map(m => m.pokemon.name)).toEqual(['snorlax']);
+      expect(res.body.data.createdAt).toBe(created.body.data.createdAt);
+    });
+
+    it('should validate the new team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app)
+        .put(`/api/teams/${created.body.data.id}`)
+        .send({ name: 'Rematch', members: [{ pokemon: 'snorlax', moves: ['thunderbolt'] }] }));
+
+      expect(res.status).toBe(400);
+      expect(__teams.get(created.body.data.id).name).toBe('Kanto');
+    });
+
+    it('should return 404 if the team is deleted during validation', async () => {
+      const created = await createTeam();
+      const fetch = axios.get.getMockImplementation();
+      axios.get.mockImplementation((url) => {
+        __teams.delete(created.body.data.id);
+        return fetch(url);
+      });
+
+      const res = await auth(request(app)
+        .put(`/api/teams/${created.body.data.id}`)
+        .send({ name: 'Rematch', members: [{ pokemon: 'snorlax' }] }));
+
+      expect(res.status).toBe(404);
+      expect(__teams.get(created.body.data.id)).toBeUndefined();
+    });
+
+    it('should return 404 for an unknown team', async () => {
+      const res = await auth(request(app).put('/api/teams/unknown').send({ name: 'Kanto', members: [] }));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/teams/:id', () => {
+    it('should delete a team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app).delete(`/api/teams/${created.body.data.id}`));
+
+      expect(res.status).toBe(200);
+      expect(__teams.all()).toHaveLength(0);
+    });
+
+    it('should not delete another user\'s team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app).delete(`/api/teams/${created.body.data.id}`), otherToken);
+
+      expect(res.status).toBe(404);
+      expect(__teams.all()).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/teams/:id/analysis', () => {
+    it('should report shared weaknesses and offensive coverage', async () => {
+      const created = await createTeam([pikachu, gyarados, { pokemon: 'snorlax' }]);
+
+      const res = await auth(request(app).get(`/api/teams/${created.body.data.id}/analysis`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.members).toEqual([
+        { pokemon: 'pikachu', nickname: 'Sparky', types: ['electric'], weaknesses: ['ground'] },
+        { pokemon: 'gyarados', nickname: null, types: ['water', 'flying'], weaknesses: ['electric', 'rock'] },
+        { pokemon: 'snorlax', nickname: null, types: ['normal'], weaknesses: ['fighting'] }
+      ]);
+      expect(res.body.data.sharedWeaknesses).toEqual([]);
+
+      const { coverage } = res.body.data;
+      expect(coverage.attackingTypes).toEqual(['electric', 'normal', 'water', 'flying']);
+      expect(coverage.superEffective).toEqual(['fire', 'water', 'grass', 'fighting', 'ground', 'flying', 'bug', 'rock']);
+      expect(coverage.noEffect).toEqual([]);
+      expect(coverage.notVeryEffective).toEqual([]);
+      expect(coverage.neutral).toEqual(expect.arrayContaining(['steel', 'dragon', 'ghost']));
+    });
+
+    it('should list types several members are weak to', async () => {
+      const created = await createTeam([gyarados, { pokemon: 'gyarados', nickname: 'Backup' }]);
+
+      const res = await auth(request(app).get(`/api/teams/${created.body.data.id}/analysis`));
+
+      expect(res.body.data.sharedWeaknesses).toEqual([
+        { type: 'electric', members: ['gyarados', 'gyarados'] },
+        { type: 'rock', members: ['gyarados', 'gyarados'] }
+      ]);
+    });
+
+    it('should return 404 for an unknown team', async () => {
+      const res = await auth(request(app).get('/api/teams/unknown/analysis'));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/teams/import', () => {
+    const paste = [
+      '=== [gen9ou] Thunder ===',
+      '',
+      'Sparky (Pikachu) (M) @ Light Ball',
+      'Ability: Static',
+      'Level: 50',
+      'Tera Type: Electric',
+      'EVs: 4 HP / 252 SpA / 252 Spe',
+      'Timid Nature',
+      'IVs: 0 Atk',
+      '- Thunderbolt',
+      '- Quick Attack',
+      '',
+      "Gyarados @ King's Rock",
+      'Ability: Intimidate',
+      '- Waterfall',
+      '- Bounce'
+    ].join('\n');
+
+    it('should create a team from a paste', async () => {
+      const res = await auth(request(app).post('/api/teams/import').send({ paste }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.name).toBe('Thunder');
+      expect(res.body.data.members).toEqual([
+        {
+          pokemon: { id: 25, name: 'pikachu' },
+          nickname: 'Sparky',
+          ability: 'static',
+          moves: ['thunderbolt', 'quick-attack'],
+          item: 'light-ball',
+          nature: 'timid',
+          evs: { hp: 4, attack: 0, defense: 0, specialAttack: 252, specialDefense: 0, speed: 252 },
+          ivs: { hp: 31, attack: 0, defense: 31, specialAttack: 31, specialDefense: 31, speed: 31 }
+        },
+        {
+          pokemon: { id: 130, name: 'gyarados' },
+          nickname: null,
+          ability: 'intimidate',
+          moves: ['waterfall', 'bounce'],
+          item: 'kings-rock',
+          nature: null,
+          evs: null,
+          ivs: null
+        }
+      ]);
+    });
+
+    it('should accept a plain text paste and a name', async () => {
+      const plain = await auth(request(app).post('/api/teams/import').set('Content-Type', 'text/plain').send('Snorlax @ Leftovers\n- Body Slam\n'));
+      const named = await auth(request(app).post('/api/teams/import').send({ paste, name: 'Renamed' }));
+
+      expect(plain.status).toBe(201);
+      expect(plain.body.data.name).toBe('Imported team');
+      expect(plain.body.data.members[0]).toMatchObject({ item: 'leftovers', moves: ['body-slam'] });
+      expect(named.body.data.name).toBe('Renamed');
+    });
+
+    it('should report errors by line', async () => {
+      const res = await auth(request(app).post('/api/teams/import').send({
+        paste: [
+          'Pikachu @ Mystery Box',
+          'Ability: Intimidate',
+          'EVs: 252 SpA / 252 Luck',
+          'Sleepy Nature',
+          '- Surf',
+          'Bogus line',
+          '',
+          'Missingno',
+          '- Glitch'
+        ].join('\n')
+      }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid Showdown paste');
+      expect(res.body.details).toEqual([
+        { line: 1, message: 'Unknown item: mystery-box' },
+        { line: 2, message: 'pikachu cannot have the ability intimidate' },
+        { line: 3, message: 'Invalid EVs: 252 SpA / 252 Luck' },
+        { line: 4, message: 'Unknown nature: Sleepy' },
+        { line: 5, message: 'pikachu cannot learn surf' },
+        { line: 6, message: 'Unrecognized line: Bogus line' },
+        { line: 8, message: 'Unknown Pokemon: Missingno' }
+      ]);
+      expect(__teams.all()).toHaveLength(0);
+    });
+
+    it('should reject more than six Pokemon', async () => {
+      const res = await auth(request(app).post('/api/teams/import').send({ paste: Array(7).fill('Snorlax').join('\n\n') }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([{ line: 13, message: 'A team has at most 6 Pokémon' }]);
+    });
+
+    it('should require a paste', async () => {
+      const res = await auth(request(app).post('/api/teams/import').send({ paste: '  ' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A Showdown paste is required');
+    });
+  });
+
+  describe('GET /api/teams/:id/export', () => {
+    it('should print a team in Showdown format', async () => {
+      const created = await createTeam([
+        { ...pikachu, nature: 'timid', evs: { hp: 4, specialAttack: 252, speed: 252 }, ivs: { attack: 0 } },
+        gyarados
+      ]);
+
+      const res = await auth(request(app).get(`/api/teams/${created.body.data.id}/export`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        name: 'Kanto',
+        paste: [
+          'Sparky (Pikachu) @ Light Ball',
+          'Ability: Static',
+          'EVs: 4 HP / 252 SpA / 252 Spe',
+          'Timid Nature',
+          'IVs: 0 Atk',
+          '- Thunderbolt',
+          '- Quick Attack',
+          '',
+          'Gyarados @ Kings Rock',
+          'Ability: Intimidate',
+          '- Waterfall',
+          '- Bounce',
+          ''
+        ].join('\n')
+      });
+    });
+
+    it('should import its own export unchanged', async () => {
+      const created = await createTeam([{ ...pikachu, nature: 'timid', evs: { speed: 252 } }, gyarados]);
+      const exported = await auth(request(app).get(`/api/teams/${created.body.data.id}/export`));
+
+      const imported = await auth(request(app).post('/api/teams/import').send({ paste: exported.body.data.paste }));
+
+      expect(imported.body.data.members).toEqual(created.body.data.members);
+    });
+
+    it('should return 404 for another user\'s team', async () => {
+      const created = await createTeam();
+
+      const res = await auth(request(app).get(`/api/teams/${created.body.data.id}/export`), otherToken);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../index');
+const axios = require('axios');
+const { cache } = require('../services/pokeapi');
+
+jest.mock('axios');
+
+const refs = (...names) => names.map(name => ({ name, url: `https://pokeapi.co/api/v2/type/${name}/` }));
+
+const mockTypes = {
+  fire: {
+    name: 'fire',
+    damage_relations: {
+      double_damage_to: refs('bug', 'steel', 'grass', 'ice'),
+      half_damage_to: refs('rock', 'fire', 'water', 'dragon'),
+      no_damage_to: [],
+      double_damage_from: refs('ground', 'rock', 'water'),
+      half_damage_from: refs('bug', 'steel', 'fire', 'grass', 'ice', 'fairy'),
+      no_damage_from: []
+    }
+  },
+  flying: {
+    name: 'flying',
+    damage_relations: {
+      double_damage_to: refs('fighting', 'bug', 'grass'),
+      half_damage_to: refs('rock', 'steel', 'electric'),
+      no_damage_to: [],
+      double_damage_from: refs('rock', 'electric', 'ice'),
+      half_damage_from: refs('fighting', 'bug', 'grass'),
+      no_damage_from: refs('ground')
+    }
+  }
+};
+
+const mockCharizard = {
+  id: 6,
+  name: 'charizard',
+  sprites: { front_default: null, other: { 'official-artwork': { front_default: null } } },
+  types: [{ type: { name: 'fire' } }, { type: { name: 'flying' } }]
+};
+
+describe('Type Routes', () => {
+  let authToken;
+
+  beforeAll(async () => {
+    const credentials = { username: 'brock', password: 'onix-12345' };
+    await request(app).post('/api/auth/register').send(credentials);
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    authToken = res.body.data.token;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    axios.get.mockImplementation((url) => {
+      const type = url.match(/\/type\/([a-z-]+)$/);
+      if (type && mockTypes[type[1]]) {
+        return Promise.resolve({ data: mockTypes[type[1]] });
+      }
+      if (url.endsWith('/pokemon/6')) {
+        return Promise.resolve({ data: mockCharizard });
+      }
+      return Promise.reject({ message: 'Not found', response: { status: 404 } });
+    });
+  });
+
+  describe('GET /api/types/:name', () => {
+    it('should return offensive and defensive multipliers', async () => {
+      const res = await request(app)
+        .get('/api/types/flying')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        name: 'flying',
+        offense: { fighting: 2, bug: 2, grass: 2, rock: 0.5, steel: 0.5, electric: 0.5 },
+        defense: { rock: 2, electric: 2, ice: 2, fighting: 0.5, bug: 0.5, grass: 0.5, ground: 0 }
+      });
+    });
+
+    it('should cache type data', async () => {
+      await request(app).get('/api/types/fire').set('Authorization', `Bearer ${authToken}`);
+      await request(app).get('/api/types/fire').set('Authorization', `Bearer ${authToken}`);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for unknown types', async () => {
+      const res = await request(app)
+        .get('/api/types/plasma')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Type not found');
+    });
+
+    it('should reject invalid type names', async () => {
+      const res = await request(app)
+        .get('/api/types/fire%2F..')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/api/types/fire');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/pokemons/:id/matchups', () => {
+    it('should combine the multipliers of both types', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/6/matchups')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        id: 6,
+        name: 'charizard',
+        types: ['fire', 'flying'],
+        weaknesses: [
+          { type: 'rock', multiplier: 4 },
+          { type: 'electric', multiplier: 2 },
+          { type: 'water', multiplier: 2 }
+        ],
+        resistances: [
+          { type: 'bug', multiplier: 0.25 },
+          { type: 'grass', multiplier: 0.25 },
+          { type: 'fairy', multiplier: 0.5 },
+          { type: 'fighting', multiplier: 0.5 },
+          { type: 'fire', multiplier: 0.5 },
+          { type: 'steel', multiplier: 0.5 }
+        ],
+        immunities: ['ground']
+      });
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/99999/matchups')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Pokemon not found');
+    });
+
+    it('should reject invalid id', async () => {
+      const res = await request(app)
+        .get('/api/pokemons/abc/matchups')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../index');
+const { __users, findByUsername, updateUser } = require('../services/users');
+
+describe('Users Routes', () => {
+  const admin = { username: 'oak', password: 'professor-oak' };
+  const trainer = { username: 'ash', password: 'pikachu-123' };
+  let adminToken, trainerToken, trainerId;
+
+  const login = async (credentials) => {
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    return res.body.data.token;
+  };
+
+  beforeEach(async () => {
+    __users.clear();
+    await request(app).post('/api/auth/register').send(admin);
+    await request(app).post('/api/auth/register').send(trainer);
+    updateUser(findByUsername('oak').id, { role: 'admin' });
+    trainerId = findByUsername('ash').id;
+
+    adminToken = await login(admin);
+    trainerToken = await login(trainer);
+  });
+
+  it('should register users with the user role', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'misty', password: 'starmie-123' });
+
+    expect(res.body.data.user.role).toBe('user');
+  });
+
+  it('should carry the role in the token', async () => {
+    const res = await request(app)
+      .post('/api/auth/verify')
+      .send({ token: adminToken });
+
+    expect(res.body.data.user.role).toBe('admin');
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users for admins', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results).toHaveLength(2);
+      expect(res.body.data.results[0].passwordHash).toBeUndefined();
+    });
+
+    it('should return 403 for regular users', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${trainerToken}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/api/users');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/users/:id/role', () => {
+    it('should change a user role', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${trainerId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.role).toBe('admin');
+
+      const token = await login(trainer);
+      const list = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.status).toBe(200);
+    });
+
+    it('should reject unknown roles', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${trainerId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'champion' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      const res = await request(app)
+        .patch('/api/users/missing/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should not demote the last admin', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${findByUsername('oak').id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should return 403 for regular users', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${trainerId}/role`)
+        .set('Authorization', `Bearer ${trainerToken}`)
+        .send({ role: 'admin' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/pokemons/cache', () => {
+    it('should clear the cache for admins', async () => {
+      const res = await request(app)
+        .delete('/api/pokemons/cache')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.cleared).toBeDefined();
+    });
+
+    it('should return 403 for regular users', async () => {
+      const res = await request(app)
+        .delete('/api/pokemons/cache')
+        .set('Authorization', `Bearer ${trainerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('seedAdminUser', () => {
+    const { seedAdminUser } = require('../services/users');
+
+    afterEach(() => {
+      delete process.env.ADMIN_USERNAME;
+      delete process.env.ADMIN_PASSWORD;
+    });
+
+    it('should create the admin from the environment', async () => {
+      process.env.ADMIN_USERNAME = 'brock';
+      process.env.ADMIN_PASSWORD = 'pewter-gym';
+
+      await seedAdminUser();
+
+      expect(findByUsername('brock').role).toBe('admin');
+      expect(await seedAdminUser()).toBeNull();
+    });
+
+    it('should do nothing without credentials', async () => {
+      expect(await seedAdminUser()).toBeNull();
+    });
+  });
+});
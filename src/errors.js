@@ -0,0 +1,37 @@
+/**
+ * Error with an HTTP status, rendered by the global error handler
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required') {
+    super(401, message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Insufficient permissions') {
+    super(403, message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Invalid request data. `details` lists each problem, e.g. { field, message }.
+ */
+class ValidationError extends HttpError {
+  constructor(message, details = []) {
+    super(400, message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError, UnauthorizedError, ForbiddenError, ValidationError };
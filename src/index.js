@@ -1,8 +1,22 @@
 const express = require('express');
 const cors = require('cors');
 const authRoutes = require('./routes/auth');
+const apiKeysRoutes = require('./routes/apiKeys');
+const sessionsRoutes = require('./routes/sessions');
+const oidcRoutes = require('./routes/oidc');
 const pokemonRoutes = require('./routes/pokemon');
+const typesRoutes = require('./routes/types');
+const abilitiesRoutes = require('./routes/abilities');
+const usersRoutes = require('./routes/users');
+const meRoutes = require('./routes/me');
+const teamsRoutes = require('./routes/teams');
 const { errorHandler } = require('./middleware/errorHandler');
+const { seedAdminUser } = require('./services/users');
+const { JWKS_MAX_AGE, getJwks } = require('./services/signingKeys');
+const { ensureSigningKeys } = require('./services/tokens');
+const { getAllPokemon } = require('./services/pokeapi');
+const { ensureStatsIndex } = require('./services/statsIndex');
+const { loadResetDelivery } = require('./services/resetDelivery');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -15,8 +29,22 @@ app.use(cors({
 app.use(express.json());
 
 // Routes
+app.use('/api/auth/api-keys', apiKeysRoutes);
+app.use('/api/auth/sessions', sessionsRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/pokemons', pokemonRoutes);
+app.use('/api/types', typesRoutes);
+app.use('/api/abilities', abilitiesRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/teams', teamsRoutes);
+
+// Public keys for verifying our access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+  res.json(getJwks());
+});
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -28,6 +56,18 @@ app.use(errorHandler);
 
 // Only start server if not in test environment
 if (require.main === module) {
+  loadResetDelivery();
+  ensureSigningKeys();
+
+  seedAdminUser().catch((error) => {
+    console.error('Failed to create admin user:', error.message);
+  });
+
+  // Fill the stats index in the background so stat sorting is fast from the start
+  getAllPokemon().then(ensureStatsIndex).catch((error) => {
+    console.error('Failed to build stats index:', error.message);
+  });
+
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
   });
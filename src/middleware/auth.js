@@ -1,13 +1,48 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokens');
+const { findActiveApiKey } = require('../services/apiKeys');
+const { findById, getRole } = require('../services/users');
+const { touchSession } = require('../services/sessions');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'pokemon-secret-key-2024';
+/**
+ * Resolves an API key to the same req.user shape as an access token,
+ * limited to the key's scopes. Returns null if the key cannot be used.
+ */
+const userFromApiKey = (key) => {
+  const record = findActiveApiKey(key);
+  const owner = record && findById(record.userId);
+  if (!owner) {
+    return null;
+  }
+
+  return {
+    sub: owner.id,
+    username: owner.username,
+    role: getRole(owner),
+    scopes: record.scopes,
+    keyId: record.id
+  };
+};
 
 /**
  * Authentication middleware
- * Validates JWT token from Authorization header
+ * Validates JWT token from Authorization header, or an API key from X-API-Key.
+ * Tokens of an ended session are refused.
  */
 const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
+  const apiKey = req.headers['x-api-key'];
+
+  if (!authHeader && apiKey) {
+    const user = userFromApiKey(apiKey);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired API key'
+      });
+    }
+    req.user = user;
+    return next();
+  }
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({
@@ -19,7 +54,10 @@ const authMiddleware = (req, res, next) => {
   const token = authHeader.substring(7);
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+    if (decoded.sid) {
+      touchSession(decoded.sid, { ip: req.ip });
+    }
     req.user = decoded;
     next();
   } catch (error) {
@@ -31,5 +69,3 @@ const authMiddleware = (req, res, next) => {
 };
 
 module.exports = { authMiddleware };
-
-
@@ -0,0 +1,46 @@
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+const { ROLE_PERMISSIONS, hasPermission } = require('../services/roles');
+
+/**
+ * Authorization middleware factory
+ * Allows the request if the authenticated user has one of the given roles.
+ * Like requirePermission, an API key is limited to its scopes: the key must
+ * hold every permission of the role, so it never acts with more than it was given.
+ * Must run after authMiddleware.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+  const withinScopes = !req.user.scopes ||
+    (ROLE_PERMISSIONS[req.user.role] || []).every(p => req.user.scopes.includes(p));
+  if (!roles.includes(req.user.role) || !withinScopes) {
+    return next(new ForbiddenError());
+  }
+  next();
+};
+
+/**
+ * Whether the authenticated user may use a permission: their role grants it
+ * and, for API key requests, the key's scopes include it
+ */
+const isGranted = (user, permission) => hasPermission(user.role, permission) &&
+  (!user.scopes || user.scopes.includes(permission));
+
+/**
+ * Authorization middleware factory
+ * Allows the request if the user's role grants every given permission.
+ * Requests made with an API key also need each permission in the key's scopes.
+ * Must run after authMiddleware.
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+  if (!permissions.every(p => isGranted(req.user, p))) {
+    return next(new ForbiddenError());
+  }
+  next();
+};
+
+module.exports = { isGranted, requireRole, requirePermission };
@@ -1,9 +1,20 @@
+const { HttpError } = require('../errors');
+
 /**
  * Global error handler middleware
  */
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err.message || err);
 
+  // Errors raised by our own routes and middleware
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      ...(err.details && { details: err.details })
+    });
+  }
+
   // Axios errors (from PokeAPI)
   if (err.response) {
     return res.status(err.response.status).json({
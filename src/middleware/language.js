@@ -0,0 +1,18 @@
+const { SUPPORTED_LANGUAGES, resolveLanguage } = require('../services/languages');
+
+/**
+ * Sets req.language from the `lang` query parameter or Accept-Language.
+ * Responds 400 if `lang` is not supported.
+ */
+const withLanguage = (req, res, next) => {
+  req.language = resolveLanguage(req);
+  if (!req.language) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+    });
+  }
+  next();
+};
+
+module.exports = { withLanguage };
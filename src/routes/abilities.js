@@ -0,0 +1,89 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { withLanguage } = require('../middleware/language');
+const { getAllAbilities, getAbility, toAbilitySummary, toAbilityDetail } = require('../services/abilities');
+const { searchByName, compareMatches } = require('../services/search');
+
+const router = express.Router();
+
+const ABILITY_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * GET /api/abilities
+ * Returns paginated list of abilities
+ * Query params: limit, offset, search (typo-tolerant, results by relevance), lang
+ */
+router.get('/', authMiddleware, requirePermission('pokemon:read'), withLanguage, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const search = typeof req.query.search === 'string' ? req.query.search : '';
+
+    const allAbilities = await getAllAbilities();
+
+    const filtered = search.trim()
+      ? searchByName(allAbilities, search).sort((a, b) => compareMatches(a.match, b.match) || a.id - b.id)
+      : allAbilities;
+
+    const total = filtered.length;
+    const paginated = filtered.slice(offset, offset + limit);
+
+    const abilities = await Promise.all(paginated.map(a => getAbility(a.name)));
+
+    res.set('Content-Language', req.language);
+    res.json({
+      success: true,
+      data: {
+        language: req.language,
+        results: abilities.filter(Boolean).map(a => toAbilitySummary(a, req.language)),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/abilities/:name
+ * Returns an ability's effect text and the Pokémon that have it
+ * Query params: lang
+ */
+router.get('/:name', authMiddleware, requirePermission('pokemon:read'), withLanguage, async (req, res, next) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (!ABILITY_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid ability name is required'
+      });
+    }
+
+    const ability = await getAbility(name);
+
+    if (!ability) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ability not found'
+      });
+    }
+
+    res.set('Content-Language', req.language);
+    res.json({
+      success: true,
+      data: toAbilityDetail(ability, req.language)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
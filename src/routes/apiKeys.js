@@ -0,0 +1,89 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { createApiKey, listApiKeys, revokeApiKey, toPublicKey } = require('../services/apiKeys');
+const { delegableScopes } = require('../services/roles');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * POST /api/auth/api-keys
+ * Creates an API key for the current user
+ * Body: name, scopes (default: ['pokemon:read']), expiresAt (optional ISO date)
+ */
+router.post('/', authMiddleware, requirePermission('api-keys:manage'), (req, res) => {
+  const { name, scopes = ['pokemon:read'], expiresAt } = req.body;
+
+  if (!name || typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Name is required and must be at most ${MAX_NAME_LENGTH} characters`
+    });
+  }
+
+  const allowed = delegableScopes(req.user.role);
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => allowed.includes(s))) {
+    return res.status(400).json({
+      success: false,
+      error: `Scopes must be a non-empty list of: ${allowed.join(', ')}`
+    });
+  }
+
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a valid date in the future'
+      });
+    }
+  }
+
+  const { key, record } = createApiKey(req.user.sub, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiry && expiry.toISOString()
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      key,
+      apiKey: toPublicKey(record)
+    }
+  });
+});
+
+/**
+ * GET /api/auth/api-keys
+ * Lists the current user's API keys (without the key values)
+ */
+router.get('/', authMiddleware, requirePermission('api-keys:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: { results: listApiKeys(req.user.sub).map(toPublicKey) }
+  });
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revokes one of the current user's API keys
+ */
+router.delete('/:id', authMiddleware, requirePermission('api-keys:manage'), (req, res) => {
+  if (!revokeApiKey(req.user.sub, req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'API key revoked'
+  });
+});
+
+module.exports = router;
@@ -1,56 +1,206 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const {
+  createUser,
+  authenticate,
+  findById,
+  findByUsername,
+  setPassword,
+  getRole,
+  toPublicUser
+} = require('../services/users');
+const {
+  issueTokens,
+  exchangeRefreshToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  revokeTokensIssuedBefore,
+  endSessionTokens,
+  rotateKeys
+} = require('../services/tokens');
+const { revokeRefreshToken } = require('../services/refreshTokens');
+const { loginThrottle } = require('../services/loginThrottle');
+const { resetRequestThrottle, createResetToken, consumeResetToken } = require('../services/passwordResets');
+const { deliverResetToken } = require('../services/resetDelivery');
+const { clientFromRequest } = require('../services/sessions');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'pokemon-secret-key-2024';
-const VALID_CREDENTIALS = {
-  username: 'admin',
-  password: 'admin'
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_LENGTH_ERROR = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+
+const isValidPassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+const sendTooManyAttempts = (res, retryAfterMs, error = 'Too many failed login attempts, try again later') => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error,
+    retryAfter
+  });
 };
 
+/**
+ * POST /api/auth/register
+ * Creates a new user account
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    const { username, password, email } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input format'
+      });
+    }
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username must be 3-32 characters of letters, numbers, dots, dashes or underscores'
+      });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: PASSWORD_LENGTH_ERROR
+      });
+    }
+
+    if (email !== undefined && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email address'
+      });
+    }
+
+    if (findByUsername(username)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username is already taken'
+      });
+    }
+
+    const user = await createUser({ username, password, email });
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username is already taken'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { user: toPublicUser(user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/login
- * Validates user credentials and returns JWT token
+ * Validates user credentials and returns a short-lived access token and a refresh token
  */
-router.post('/login', (req, res) => {
-  const { username, password } = req.body;
+router.post('/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
 
-  // Validation
-  if (!username || !password) {
-    return res.status(400).json({
-      success: false,
-      error: 'Username and password are required'
+    // Validation
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input format'
+      });
+    }
+
+    // Brute-force protection
+    const identity = { username, ip: req.ip };
+    const retryAfterMs = loginThrottle.reserve(identity);
+    if (retryAfterMs > 0) {
+      return sendTooManyAttempts(res, retryAfterMs);
+    }
+
+    // Check credentials
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    loginThrottle.reset(identity);
+
+    // Generate tokens
+    const { token, refreshToken, expiresIn, sessionId } = issueTokens(user, clientFromRequest(req));
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        sessionId,
+        user: { id: user.id, username: user.username, role: getRole(user) }
+      }
     });
+  } catch (error) {
+    next(error);
   }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Each refresh token is single-use; reusing one revokes its whole family.
+ */
+router.post('/refresh', (req, res) => {
+  const { refreshToken } = req.body;
 
-  if (typeof username !== 'string' || typeof password !== 'string') {
+  if (!refreshToken || typeof refreshToken !== 'string') {
     return res.status(400).json({
       success: false,
-      error: 'Invalid input format'
+      error: 'Refresh token is required'
     });
   }
 
-  // Check credentials
-  if (username !== VALID_CREDENTIALS.username || password !== VALID_CREDENTIALS.password) {
+  const result = exchangeRefreshToken(refreshToken, clientFromRequest(req));
+  if (!result) {
     return res.status(401).json({
       success: false,
-      error: 'Invalid username or password'
+      error: 'Invalid or expired refresh token'
     });
   }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { username, loginTime: new Date().toISOString() },
-    JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-
   res.json({
     success: true,
     data: {
-      token,
-      user: { username }
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      user: { id: result.user.id, username: result.user.username, role: getRole(result.user) }
     }
   });
 });
@@ -70,10 +220,10 @@ router.post('/verify', (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     res.json({
       success: true,
-      data: { user: { username: decoded.username } }
+      data: { user: { id: decoded.sub, username: decoded.username, role: decoded.role } }
     });
   } catch (error) {
     res.status(401).json({
@@ -85,15 +235,222 @@ router.post('/verify', (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logs out user (client should remove token)
+ * Ends the current session and revokes the access token.
+ * A given refresh token has its family revoked as well.
+ * Needs account:manage, which API keys cannot hold.
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', authMiddleware, requirePermission('account:manage'), (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  revokeAccessToken(req.user);
+  if (req.user.sid) {
+    endSessionTokens(req.user.sid);
+  }
+  if (typeof refreshToken === 'string') {
+    revokeRefreshToken(refreshToken);
+  }
+
   res.json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
+/**
+ * POST /api/auth/logout-all
+ * Invalidates every token issued to the user before `before` (default: now)
+ * Needs account:manage, which API keys cannot hold.
+ */
+router.post('/logout-all', authMiddleware, requirePermission('account:manage'), (req, res) => {
+  const { before } = req.body || {};
+  const now = new Date();
+  const cutoff = before === undefined ? now : new Date(before);
+
+  if (isNaN(cutoff.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'before must be a valid date'
+    });
+  }
+
+  if (cutoff > now) {
+    return res.status(400).json({
+      success: false,
+      error: 'before cannot be in the future'
+    });
+  }
+
+  revokeTokensIssuedBefore(req.user.sub, cutoff);
+  if (req.user.iat * 1000 < cutoff.getTime()) {
+    revokeAccessToken(req.user);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out from all devices',
+    data: { tokensValidAfter: cutoff.toISOString() }
+  });
+});
+
+/**
+ * POST /api/auth/password
+ * Changes the current user's password and ends every other session.
+ * Returns a fresh token pair for the caller.
+ */
+router.post('/password', authMiddleware, requirePermission('account:manage'), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is required'
+      });
+    }
+
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: PASSWORD_LENGTH_ERROR
+      });
+    }
+
+    const user = findById(req.user.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    // Guessing the current password with a stolen token counts as a failed login
+    const identity = { username: user.username, ip: req.ip };
+    const retryAfterMs = loginThrottle.reserve(identity);
+    if (retryAfterMs > 0) {
+      return sendTooManyAttempts(res, retryAfterMs);
+    }
+
+    if (!await authenticate(user.username, currentPassword)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+    loginThrottle.reset(identity);
+
+    const updated = await setPassword(user.id, newPassword);
+    revokeTokensIssuedBefore(user.id);
+    revokeAccessToken(req.user);
+    const { token, refreshToken, expiresIn, sessionId } = issueTokens(updated, clientFromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      data: { token, refreshToken, expiresIn, sessionId }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/password/forgot
+ * Sends a single-use reset token through the delivery hook.
+ * Always answers the same way, without waiting for the delivery, so it
+ * cannot be used to probe usernames. Requests are limited per username and IP.
+ */
+router.post('/password/forgot', (req, res, next) => {
+  try {
+    const { username } = req.body;
+
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Username is required'
+      });
+    }
+
+    const retryAfterMs = resetRequestThrottle.reserve({ username, ip: req.ip });
+    if (retryAfterMs > 0) {
+      return sendTooManyAttempts(res, retryAfterMs, 'Too many password reset requests, try again later');
+    }
+
+    const user = findByUsername(username);
+    if (user) {
+      const { token, expiresAt } = createResetToken(user.id);
+      deliverResetToken({ user, token, expiresAt }).catch((deliveryError) => {
+        console.error('Password reset delivery failed:', deliveryError.message);
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'If the account exists, a password reset token has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/password/reset
+ * Sets a new password using a reset token and ends every session of the user
+ */
+router.post('/password/reset', async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is required'
+      });
+    }
+
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: PASSWORD_LENGTH_ERROR
+      });
+    }
+
+    const userId = consumeResetToken(token);
+    const user = userId && findById(userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    await setPassword(user.id, newPassword);
+    revokeTokensIssuedBefore(user.id);
+    loginThrottle.reset({ username: user.username });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/keys/rotate
+ * Schedules signing tokens with the next key (admin only)
+ * The next key takes over once cached JWKS copies know it, at `activatesAt`;
+ * the previous key stays in the JWKS until its tokens have expired
+ */
+router.post('/keys/rotate', authMiddleware, requirePermission('keys:manage'), (req, res) => {
+  const key = rotateKeys();
+
+  res.json({
+    success: true,
+    data: { kid: key.id, alg: key.alg, createdAt: key.createdAt, activatesAt: key.activatesAt }
+  });
+});
+
 module.exports = router;
 
 
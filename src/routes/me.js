@@ -0,0 +1,554 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { HttpError } = require('../errors');
+const { getAllPokemon, getPokemonSummary, resolvePokemon, idFromUrl } = require('../services/pokeapi');
+const { listFavorites, addFavorite, removeFavorite, replaceFavorites } = require('../services/favorites');
+const { STATUSES, getProgress, setStatus, getProgressSummary } = require('../services/progress');
+const { MAX_NOTE_LENGTH, toPublicNote, listNotes, getNote, createNote, updateNote, deleteNote } = require('../services/notes');
+const { MAX_TAG_LENGTH, normalizeTag, listTags, addTag, removeTag, deleteTag } = require('../services/tags');
+
+const router = express.Router();
+
+const POKEMON_REF_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_FAVORITES = 2000;
+const MAX_PROGRESS_UPDATES = 2000;
+// Refs missing from the index (e.g. species names like `deoxys`) cost up to two upstream requests each
+const MAX_UNINDEXED_REFS = 10;
+const PROGRESS_STATUSES = [...STATUSES, 'missing'];
+
+/**
+ * Resolves Pokémon ids, names or form slugs to Pokémon ids. Refs found in
+ * the Pokémon index are resolved without a request; at most
+ * MAX_UNINDEXED_REFS distinct other refs are looked up. Returns { ids, unknown }.
+ */
+const resolvePokemonIds = async (refs) => {
+  const allPokemon = await getAllPokemon();
+  const byRef = new Map();
+  allPokemon.forEach(p => {
+    const id = idFromUrl(p.url);
+    byRef.set(String(id), id);
+    byRef.set(p.name, id);
+  });
+
+  const unindexed = [...new Set(refs.filter(ref => !byRef.has(ref)))];
+  if (unindexed.length > MAX_UNINDEXED_REFS) {
+    throw new HttpError(400, `At most ${MAX_UNINDEXED_REFS} Pokemon outside the Pokemon list can be resolved per request`);
+  }
+
+  const unknownRefs = new Set();
+  for (const ref of unindexed) {
+    try {
+      byRef.set(ref, (await resolvePokemon(ref)).id);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+      unknownRefs.add(ref);
+    }
+  }
+
+  return {
+    ids: refs.filter(ref => byRef.has(ref)).map(ref => byRef.get(ref)),
+    unknown: [...unknownRefs]
+  };
+};
+
+const normalizeRef = (ref) => String(ref).trim().toLowerCase();
+
+const isValidNoteText = (text) => typeof text === 'string' && text.trim().length > 0 && text.length <= MAX_NOTE_LENGTH;
+
+const noteNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Note not found'
+});
+
+/**
+ * GET /api/me/favorites
+ * Returns the current user's favorite Pokémon, in the order they were added
+ * Query params: limit, offset
+ */
+router.get('/favorites', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const favorites = listFavorites(req.user.sub);
+    const total = favorites.length;
+    const paginated = favorites.slice(offset, offset + limit);
+
+    const results = await Promise.all(paginated.map(async f => ({
+      ...await getPokemonSummary(f.id),
+      isFavorite: true,
+      addedAt: f.addedAt
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasNext: offset + limit < total,
+          hasPrev: offset > 0
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/me/favorites
+ * Replaces the current user's favorites
+ * Body: pokemon (array of Pokémon ids, names or form slugs)
+ */
+router.put('/favorites', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const { pokemon } = req.body;
+
+    if (!Array.isArray(pokemon) || pokemon.length > MAX_FAVORITES ||
+        !pokemon.every(ref => ['string', 'number'].includes(typeof ref) && POKEMON_REF_PATTERN.test(normalizeRef(ref)))) {
+      return res.status(400).json({
+        success: false,
+        error: `pokemon must be an array of at most ${MAX_FAVORITES} Pokemon IDs or names`
+      });
+    }
+
+    const { ids, unknown } = await resolvePokemonIds(pokemon.map(normalizeRef));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown Pokemon: ${unknown.join(', ')}`
+      });
+    }
+
+    const favorites = replaceFavorites(req.user.sub, ids);
+
+    res.json({
+      success: true,
+      data: { results: favorites }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/me/favorites/:id
+ * Adds a Pokémon (id, name or form slug) to the current user's favorites
+ * Adding one that is already a favorite keeps its original addedAt
+ */
+router.put('/favorites/:id', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const ref = normalizeRef(req.params.id);
+
+    if (!POKEMON_REF_PATTERN.test(ref)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID or name is required'
+      });
+    }
+
+    const { ids } = await resolvePokemonIds([ref]);
+
+    if (ids.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: addFavorite(req.user.sub, ids[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/me/favorites/:id
+ * Removes a Pokémon (id, name or form slug) from the current user's favorites
+ */
+router.delete('/favorites/:id', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const ref = normalizeRef(req.params.id);
+
+    if (!POKEMON_REF_PATTERN.test(ref)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID or name is required'
+      });
+    }
+
+    const { ids } = await resolvePokemonIds([ref]);
+
+    if (ids.length === 0 || !removeFavorite(req.user.sub, ids[0])) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon is not a favorite'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Favorite removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/me/pokedex
+ * Returns the current user's recorded Pokédex statuses, by Pokémon id
+ */
+router.get('/pokedex', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const results = [...getProgress(req.user.sub)]
+    .sort(([a], [b]) => a - b)
+    .map(([id, entry]) => ({ id, ...entry }));
+
+  res.json({
+    success: true,
+    data: { results }
+  });
+});
+
+/**
+ * GET /api/me/pokedex/summary
+ * Returns the current user's completion overall, per generation and per type
+ */
+router.get('/pokedex/summary', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await getProgressSummary(req.user.sub)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/me/pokedex
+ * Sets the status of several Pokémon at once
+ * Body: pokemon (array of Pokémon ids, names or form slugs), status (seen|caught|missing)
+ */
+router.patch('/pokedex', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const { pokemon, status } = req.body;
+
+    if (!PROGRESS_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${PROGRESS_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(pokemon) || pokemon.length === 0 || pokemon.length > MAX_PROGRESS_UPDATES ||
+        !pokemon.every(ref => ['string', 'number'].includes(typeof ref) && POKEMON_REF_PATTERN.test(normalizeRef(ref)))) {
+      return res.status(400).json({
+        success: false,
+        error: `pokemon must be an array of 1 to ${MAX_PROGRESS_UPDATES} Pokemon IDs or names`
+      });
+    }
+
+    const { ids, unknown } = await resolvePokemonIds(pokemon.map(normalizeRef));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown Pokemon: ${unknown.join(', ')}`
+      });
+    }
+
+    setStatus(req.user.sub, ids, status);
+
+    res.json({
+      success: true,
+      data: { updated: new Set(ids).size, status }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/me/pokedex/:id
+ * Sets the status of one Pokémon (id, name or form slug)
+ * Body: status (seen|caught|missing)
+ */
+router.put('/pokedex/:id', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const ref = normalizeRef(req.params.id);
+    const { status } = req.body;
+
+    if (!POKEMON_REF_PATTERN.test(ref)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID or name is required'
+      });
+    }
+
+    if (!PROGRESS_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${PROGRESS_STATUSES.join(', ')}`
+      });
+    }
+
+    const { ids } = await resolvePokemonIds([ref]);
+
+    if (ids.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+
+    const entry = setStatus(req.user.sub, ids, status).get(ids[0]);
+
+    res.json({
+      success: true,
+      data: { id: ids[0], status, updatedAt: entry?.updatedAt || null }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/me/notes
+ * Returns the current user's notes, oldest first
+ * Query params: pokemon (only notes on this Pokémon id, name or form slug)
+ */
+router.get('/notes', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    let pokemonId = null;
+    if (req.query.pokemon !== undefined) {
+      const ref = typeof req.query.pokemon === 'string' ? normalizeRef(req.query.pokemon) : '';
+      const { ids } = POKEMON_REF_PATTERN.test(ref) ? await resolvePokemonIds([ref]) : { ids: [] };
+      if (ids.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pokemon not found'
+        });
+      }
+      pokemonId = ids[0];
+    }
+
+    res.json({
+      success: true,
+      data: { results: listNotes(req.user.sub, pokemonId).map(toPublicNote) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/me/notes
+ * Adds a note to a Pokémon
+ * Body: pokemon (Pokémon id, name or form slug), text
+ */
+router.post('/notes', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const { pokemon, text } = req.body;
+
+    if (!isValidNoteText(text)) {
+      return res.status(400).json({
+        success: false,
+        error: `Text is required (max ${MAX_NOTE_LENGTH} characters)`
+      });
+    }
+
+    const ref = ['string', 'number'].includes(typeof pokemon) ? normalizeRef(pokemon) : '';
+    if (!POKEMON_REF_PATTERN.test(ref)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID or name is required'
+      });
+    }
+
+    const { ids } = await resolvePokemonIds([ref]);
+
+    if (ids.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: toPublicNote(createNote(req.user.sub, ids[0], text))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/me/notes/:id
+ * Returns one of the current user's notes
+ */
+router.get('/notes/:id', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const note = getNote(req.user.sub, req.params.id);
+  if (!note) {
+    return noteNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    data: toPublicNote(note)
+  });
+});
+
+/**
+ * PATCH /api/me/notes/:id
+ * Changes the text of one of the current user's notes
+ * Body: text
+ */
+router.patch('/notes/:id', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const { text } = req.body;
+
+  if (!isValidNoteText(text)) {
+    return res.status(400).json({
+      success: false,
+      error: `Text is required (max ${MAX_NOTE_LENGTH} characters)`
+    });
+  }
+
+  const note = updateNote(req.user.sub, req.params.id, text);
+  if (!note) {
+    return noteNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    data: toPublicNote(note)
+  });
+});
+
+/**
+ * DELETE /api/me/notes/:id
+ * Deletes one of the current user's notes
+ */
+router.delete('/notes/:id', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  if (!deleteNote(req.user.sub, req.params.id)) {
+    return noteNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    message: 'Note deleted'
+  });
+});
+
+/**
+ * GET /api/me/tags
+ * Returns the current user's tags, each with the ids of the Pokémon it is on
+ */
+router.get('/tags', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: { results: listTags(req.user.sub) }
+  });
+});
+
+/**
+ * PUT /api/me/tags/:tag/pokemon/:id
+ * Puts a tag on a Pokémon (id, name or form slug), creating the tag if needed
+ */
+router.put('/tags/:tag/pokemon/:id', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const ref = normalizeRef(req.params.id);
+
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        error: `Tag must be 1 to ${MAX_TAG_LENGTH} characters without commas`
+      });
+    }
+
+    if (!POKEMON_REF_PATTERN.test(ref)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID or name is required'
+      });
+    }
+
+    const { ids } = await resolvePokemonIds([ref]);
+
+    if (ids.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+
+    addTag(req.user.sub, tag, ids[0]);
+
+    res.json({
+      success: true,
+      data: { tag, pokemon: ids[0] }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/me/tags/:tag/pokemon/:id
+ * Takes a tag off a Pokémon (id, name or form slug)
+ */
+router.delete('/tags/:tag/pokemon/:id', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const ref = normalizeRef(req.params.id);
+    const { ids } = tag && POKEMON_REF_PATTERN.test(ref) ? await resolvePokemonIds([ref]) : { ids: [] };
+
+    if (ids.length === 0 || !removeTag(req.user.sub, tag, ids[0])) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon does not have this tag'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/me/tags/:tag
+ * Removes a tag from every Pokémon
+ */
+router.delete('/tags/:tag', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+
+  if (!tag || !deleteTag(req.user.sub, tag)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tag not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Tag deleted'
+  });
+});
+
+module.exports = router;
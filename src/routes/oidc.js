@@ -0,0 +1,172 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../services/oidc');
+const { findById, findByIdentity, linkIdentity, findOrCreateByIdentity, getRole } = require('../services/users');
+const { issueTokens } = require('../services/tokens');
+const { clientFromRequest } = require('../services/sessions');
+
+const router = express.Router();
+
+const withProvider = (req, res, next) => {
+  req.provider = getProvider(req.params.provider);
+  if (!req.provider) {
+    return res.status(404).json({
+      success: false,
+      error: 'Identity provider not found'
+    });
+  }
+  next();
+};
+
+// Authenticates the caller when credentials are sent; link callbacks need them
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers['x-api-key']) {
+    return next();
+  }
+  authMiddleware(req, res, next);
+};
+
+/**
+ * GET /api/auth/oidc/providers
+ * Lists the configured identity providers
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { results: listProviders() }
+  });
+});
+
+/**
+ * GET /api/auth/oidc/:provider/authorize
+ * Starts a sign-in: returns the provider URL the client should redirect to
+ */
+router.get('/:provider/authorize', withProvider, async (req, res, next) => {
+  try {
+    const { authorizationUrl, state } = await createAuthorizationRequest(req.provider);
+
+    res.json({
+      success: true,
+      data: { authorizationUrl, state }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/oidc/:provider/link
+ * Starts a flow that links the provider identity to the current account
+ */
+router.post('/:provider/link', authMiddleware, requirePermission('account:manage'), withProvider, async (req, res, next) => {
+  try {
+    const { authorizationUrl, state } = await createAuthorizationRequest(req.provider, {
+      linkUserId: req.user.sub
+    });
+
+    res.json({
+      success: true,
+      data: { authorizationUrl, state }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET|POST /api/auth/oidc/:provider/callback
+ * Completes the flow with the provider's `code` and `state` and returns
+ * the same tokens as /api/auth/login. The identity is linked to an
+ * account on first login. A flow started with /link must be completed
+ * by the same user who started it.
+ */
+const handleCallback = async (req, res, next) => {
+  try {
+    const { code, state, error } = { ...req.query, ...req.body };
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-in was cancelled or denied by the provider',
+        details: error
+      });
+    }
+
+    if (!code || !state || typeof code !== 'string' || typeof state !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Code and state are required'
+      });
+    }
+
+    const { claims, linkUserId } = await completeAuthorization(req.provider, { code, state });
+    const identity = { provider: req.provider.id, subject: claims.sub };
+
+    let user;
+    let created = false;
+    if (linkUserId) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+      const keyWithoutAccess = req.user.scopes && !req.user.scopes.includes('account:manage');
+      if (req.user.sub !== linkUserId || keyWithoutAccess) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions'
+        });
+      }
+
+      const owner = findByIdentity(identity.provider, identity.subject);
+      if (owner && owner.id !== linkUserId) {
+        return res.status(409).json({
+          success: false,
+          error: 'This identity is already linked to another account'
+        });
+      }
+      user = findById(linkUserId) && linkIdentity(linkUserId, identity);
+    } else {
+      ({ user, created } = await findOrCreateByIdentity({
+        ...identity,
+        preferredUsername: claims.preferred_username,
+        email: claims.email_verified === false ? null : claims.email
+      }));
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const { token, refreshToken, expiresIn, sessionId } = issueTokens(user, clientFromRequest(req));
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        sessionId,
+        created,
+        user: { id: user.id, username: user.username, role: getRole(user) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/:provider/callback', optionalAuth, withProvider, handleCallback);
+router.post('/:provider/callback', optionalAuth, withProvider, handleCallback);
+
+module.exports = router;
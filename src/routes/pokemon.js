@@ -1,70 +1,327 @@
 const express = require('express');
 const axios = require('axios');
 const { authMiddleware } = require('../middleware/auth');
+const { isGranted, requirePermission } = require('../middleware/authorize');
+const { withLanguage } = require('../middleware/language');
+const {
+  POKEAPI_BASE,
+  FILTERS,
+  cache,
+  getCachedOrFetch,
+  idFromUrl,
+  getAllPokemon,
+  getPokemonSummary,
+  getPokemon,
+  resolvePokemon,
+  nationalNumber,
+  getFilterIndex
+} = require('../services/pokeapi');
+const { getEvolutionChain } = require('../services/evolution');
+const { getMatchups } = require('../services/typeChart');
+const { LEARN_METHODS, listVersionGroups, listPokemonMoves, getMoveDetails } = require('../services/moves');
+const { localize } = require('../services/languages');
+const { searchByName, compareMatches } = require('../services/search');
+const { STATS, ensureStatsIndex } = require('../services/statsIndex');
+const { getFavoriteIds } = require('../services/favorites');
+const { STATUSES, getProgress, statusOf } = require('../services/progress');
+const { listNotes, toPublicNote } = require('../services/notes');
+const { normalizeTag, getTagsFor, getTaggedIds } = require('../services/tags');
 
 const router = express.Router();
-const POKEAPI_BASE = 'https://pokeapi.co/api/v2';
 
-// Simple in-memory cache
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const FILTER_VALUE_PATTERN = /^[a-z0-9-]+$/;
+// An id, a name or a form slug
+const POKEMON_REF_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
 
-// Export cache for testing
-if (process.env.NODE_ENV === 'test') {
-  module.exports.__cache = cache;
-}
+/**
+ * Parses the type/generation/habitat query params into
+ * { filter: [values] }. Values within a filter are alternatives.
+ * Returns null if a value is malformed.
+ */
+const parseFilters = (query) => {
+  const filters = {};
+  for (const filter of Object.keys(FILTERS)) {
+    if (query[filter] === undefined) continue;
+    if (typeof query[filter] !== 'string') return null;
+
+    const values = query[filter].split(',').map(v => v.trim().toLowerCase()).filter(v => v.length > 0);
+    if (values.length === 0 || !values.every(v => FILTER_VALUE_PATTERN.test(v))) {
+      return null;
+    }
+    filters[filter] = values;
+  }
+  return filters;
+};
+
+/**
+ * Parses the status query param (comma-separated seen, caught, missing)
+ * into a list. Returns null if a value is unknown.
+ */
+const parseStatuses = (query) => {
+  if (query.status === undefined) return [];
+  if (typeof query.status !== 'string') return null;
 
-const getCachedOrFetch = async (key, fetchFn) => {
-  const cached = cache.get(key);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+  const statuses = query.status.split(',').map(v => v.trim().toLowerCase()).filter(v => v.length > 0);
+  if (statuses.length === 0 || !statuses.every(v => [...STATUSES, 'missing'].includes(v))) {
+    return null;
   }
-  const data = await fetchFn();
+  return statuses;
+};
+
+// National dex order; forms follow the default form of their species
+const byNumber = (a, b) => a.number - b.number || a.id - b.id;
+
+// Base stats the list can sort and filter by
+const STAT_KEYS = [...Object.keys(STATS), 'total'];
 
-  if (data && (Array.isArray(data) ? data.length > 0 : true)) {
-    cache.set(key, { data, timestamp: Date.now() });
+/**
+ * Parses minX/maxX query params (e.g. minSpeed, maxTotal) into
+ * [{ stat, min, max }]. Returns null if a value is not a non-negative integer.
+ */
+const parseStatRanges = (query) => {
+  const ranges = [];
+  for (const stat of STAT_KEYS) {
+    const suffix = stat[0].toUpperCase() + stat.slice(1);
+    const bounds = {};
+    for (const bound of ['min', 'max']) {
+      const value = query[`${bound}${suffix}`];
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+      bounds[bound] = parseInt(value, 10);
+    }
+    if (bounds.min !== undefined || bounds.max !== undefined) {
+      ranges.push({ stat, min: bounds.min ?? 0, max: bounds.max ?? Infinity });
+    }
+  }
+  return ranges;
+};
+
+const buildPokemonDetail = async (pokemon, language) => {
+  // Without species data the detail falls back to defaults below. Only a
+  // missing species does that; other failures must not end up in the cache.
+  const species = await axios
+    .get(pokemon.species?.url || `${POKEAPI_BASE}/pokemon-species/${pokemon.id}`)
+    .catch((error) => {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    });
+
+  const result = {
+    id: pokemon.id,
+    name: pokemon.name,
+    number: nationalNumber(pokemon),
+    image: pokemon.sprites.other['official-artwork'].front_default ||
+           pokemon.sprites.front_default,
+    images: {
+      front: pokemon.sprites.front_default,
+      back: pokemon.sprites.back_default,
+      frontShiny: pokemon.sprites.front_shiny,
+      backShiny: pokemon.sprites.back_shiny,
+      artwork: pokemon.sprites.other['official-artwork'].front_default
+    },
+    types: pokemon.types.map(t => t.type.name),
+    height: pokemon.height / 10,
+    weight: pokemon.weight / 10,
+    abilities: pokemon.abilities.map(a => ({
+      name: a.ability.name,
+      isHidden: a.is_hidden
+    })),
+    moves: pokemon.moves.slice(0, 20).map(m => ({
+      name: m.move.name,
+      learnMethod: m.version_group_details[0]?.move_learn_method.name
+    })),
+    stats: pokemon.stats.map(s => ({
+      name: s.stat.name,
+      value: s.base_stat
+    }))
+  };
+
+  result.language = language;
+  result.languageFallbacks = [];
+
+  if (species?.data) {
+    const localized = {
+      displayName: localize(species.data.names, language),
+      description: localize(species.data.flavor_text_entries, language),
+      genus: localize(species.data.genera, language)
+    };
+    Object.entries(localized).forEach(([field, { entry, language: used }]) => {
+      if (entry && used !== language) result.languageFallbacks.push(field);
+    });
+
+    result.displayName = localized.displayName.entry?.name || pokemon.name;
+    result.forms = species.data.varieties?.map(v => ({
+      id: v.pokemon.url ? idFromUrl(v.pokemon.url) : null,
+      name: v.pokemon.name,
+      isDefault: v.is_default,
+      href: `/api/pokemons/${v.pokemon.name}`
+    })) || [];
+    result.description = localized.description.entry?.flavor_text
+      ?.replace(/\f/g, ' ') || 'No description available';
+    result.genus = localized.genus.entry?.genus || 'Unknown';
+    result.habitat = species.data.habitat?.name || 'Unknown';
+    result.generation = species.data.generation?.name || 'Unknown';
+  } else {
+    result.displayName = pokemon.name;
+    result.forms = [];
+    result.description = 'No description available';
+    result.genus = 'Unknown';
+    result.habitat = 'Unknown';
+    result.generation = 'Unknown';
   }
-  return data;
+
+  return result;
+};
+
+/**
+ * Detailed information about a Pokémon, including species data.
+ * `idOrName` may be an id, a name or a form slug; the result is cached
+ * under the Pokémon's id, so every way of naming it shares one record.
+ * Name, description and genus are in `language` where PokeAPI has it,
+ * else in English; `languageFallbacks` lists the fields that fell back.
+ */
+const getPokemonDetail = async (idOrName, language = 'en') => {
+  const pokemon = await resolvePokemon(idOrName);
+  return getCachedOrFetch(`pokemon-detail-${pokemon.id}-${language}`, () => buildPokemonDetail(pokemon, language));
 };
 
 /**
  * GET /api/pokemons
  * Returns paginated list of Pokémon
- * Query params: limit, offset, search, sortBy (name|number), sortOrder (asc|desc)
+ * Query params: limit, offset, search, sortBy (relevance|name|number|<stat>|total), sortOrder (asc|desc),
+ * type, generation, habitat (comma-separated; filters combine with AND, values with OR),
+ * min<Stat>/max<Stat> (e.g. minSpeed=100, maxTotal=500), favorites=true (only the caller's favorites),
+ * status (seen|caught|missing in the caller's Pokédex, comma-separated), tag (the caller's tags, comma-separated)
+ * Each result carries `isFavorite` for the calling user. The caller's collection (favorites,
+ * status, tag and isFavorite) needs collection:manage; read-only API keys get 403 for those filters.
+ * Search tolerates typos and punctuation; with a search, results default to relevance order.
+ * Stat sorting and ranges use the stats index instead of per-Pokémon requests.
  */
-router.get('/', authMiddleware, async (req, res, next) => {
+router.get('/', authMiddleware, requirePermission('pokemon:read'), async (req, res, next) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const offset = parseInt(req.query.offset) || 0;
-    const search = req.query.search?.toLowerCase() || '';
-    const sortBy = req.query.sortBy || 'number';
+    const search = typeof req.query.search === 'string' ? req.query.search : '';
+    const sortBy = req.query.sortBy || (search.trim() ? 'relevance' : 'number');
     const sortOrder = req.query.sortOrder || 'asc';
+    const filters = parseFilters(req.query);
+    const statRanges = parseStatRanges(req.query);
+    const favoritesOnly = req.query.favorites === 'true';
+    const withCollection = isGranted(req.user, 'collection:manage');
+    const favoriteIds = withCollection ? getFavoriteIds(req.user.sub) : null;
+    const statuses = parseStatuses(req.query);
+    const tags = typeof req.query.tag === 'string' ? req.query.tag.split(',').map(normalizeTag) : null;
+
+    if (!filters) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type, generation or habitat filter'
+      });
+    }
+
+    if (!statRanges) {
+      return res.status(400).json({
+        success: false,
+        error: 'Stat ranges must be non-negative integers'
+      });
+    }
+
+    if (!statuses) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status must be seen, caught or missing'
+      });
+    }
+
+    if ((req.query.tag !== undefined && !tags) || tags?.some(tag => !tag)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tag filter'
+      });
+    }
+
+    if (!withCollection && (favoritesOnly || statuses.length > 0 || req.query.tag !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        error: 'The favorites, status and tag filters require the collection:manage permission'
+      });
+    }
 
     // Fetch all pokemon names for search/sort functionality
-    const allPokemon = await getCachedOrFetch('all-pokemon', async () => {
-      const response = await axios.get(`${POKEAPI_BASE}/pokemon?limit=1500`);
-      return response.data.results.map((p, index) => ({
-        name: p.name,
-        number: index + 1,
-        url: p.url
-      }));
-    });
+    const allPokemon = await getAllPokemon();
+
+    // Resolve each filter to the ids it allows
+    const allowedIds = [];
+    for (const [filter, values] of Object.entries(filters)) {
+      const indexes = await Promise.all(values.map(value => getFilterIndex(filter, value)));
+      const unknown = values.filter((value, i) => !indexes[i]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown ${filter}: ${unknown.join(', ')}`
+        });
+      }
+      allowedIds.push(new Set(indexes.flatMap(index => [...index])));
+    }
 
     let filtered;
     if (search && search.trim().length > 0) {
-      const searchTerms = search.split(',').map(s => s.trim().toLowerCase()).filter(s => s.length > 0);
-      filtered = allPokemon.filter(p => 
-        searchTerms.some(term => p.name.indexOf(term) !== -1)
-      );
+      filtered = searchByName(allPokemon, search);
     } else {
       filtered = [...allPokemon];
     }
 
+    if (favoritesOnly) {
+      allowedIds.push(favoriteIds);
+    }
+
+    if (tags) {
+      allowedIds.push(getTaggedIds(req.user.sub, tags));
+    }
+
+    if (allowedIds.length > 0) {
+      filtered = filtered.filter(p => {
+        const id = idFromUrl(p.url);
+        return allowedIds.every(ids => ids.has(id));
+      });
+    }
+
+    if (statuses.length > 0) {
+      const entries = getProgress(req.user.sub);
+      filtered = filtered.filter(p => statuses.includes(statusOf(entries, idFromUrl(p.url))));
+    }
+
+    // Stat sorting and ranges read the stats index
+    const sortByStat = STAT_KEYS.includes(sortBy);
+    let statsByName = null;
+    if (sortByStat || statRanges.length > 0) {
+      statsByName = await ensureStatsIndex(filtered);
+      filtered = filtered.filter(p => statRanges.every(({ stat, min, max }) => {
+        const value = statsByName.get(p.name)?.stats[stat];
+        return value !== undefined && value >= min && value <= max;
+      }));
+    }
+
     // Sort
     filtered.sort((a, b) => {
-      const compareValue = sortBy === 'name'
-        ? a.name.localeCompare(b.name)
-        : a.number - b.number;
+      let compareValue;
+      if (sortByStat) {
+        const aValue = statsByName.get(a.name)?.stats[sortBy];
+        const bValue = statsByName.get(b.name)?.stats[sortBy];
+        // Pokémon whose stats could not be fetched go last either way
+        if (aValue === undefined || bValue === undefined) {
+          return (aValue === undefined) - (bValue === undefined) || byNumber(a, b);
+        }
+        compareValue = aValue - bValue || (sortOrder === 'asc' ? 1 : -1) * byNumber(a, b);
+      } else if (sortBy === 'name') {
+        compareValue = a.name.localeCompare(b.name);
+      } else if (sortBy === 'relevance' && a.match && b.match) {
+        compareValue = compareMatches(a.match, b.match) || byNumber(a, b);
+      } else {
+        compareValue = byNumber(a, b);
+      }
       return sortOrder === 'asc' ? compareValue : -compareValue;
     });
 
@@ -73,21 +330,14 @@ router.get('/', authMiddleware, async (req, res, next) => {
     const paginated = filtered.slice(offset, offset + limit);
 
     // Fetch details for paginated results
-    const pokemonDetails = await Promise.all(
-      paginated.map(async (p) => {
-        return getCachedOrFetch(`pokemon-${p.name}`, async () => {
-          const response = await axios.get(`${POKEAPI_BASE}/pokemon/${p.name}`);
-          return {
-            id: response.data.id,
-            name: response.data.name,
-            number: response.data.id,
-            image: response.data.sprites.other['official-artwork'].front_default ||
-                   response.data.sprites.front_default,
-            types: response.data.types.map(t => t.type.name)
-          };
-        });
-      })
-    );
+    const pokemonDetails = await Promise.all(paginated.map(async (p) => {
+      const summary = {
+        ...await getPokemonSummary(p.name),
+        ...favoriteIds && { isFavorite: favoriteIds.has(idFromUrl(p.url)) }
+      };
+      const entry = statsByName?.get(p.name);
+      return entry ? { ...summary, stats: entry.stats } : summary;
+    }));
 
     res.json({
       success: true,
@@ -107,12 +357,110 @@ router.get('/', authMiddleware, async (req, res, next) => {
   }
 });
 
+const MAX_COMPARE = 6;
+
+/**
+ * Lines up the stats of several Pokémon: one row per stat with each
+ * Pokémon's value (in request order) and the ids of the highest
+ */
+const compareStats = (details) => {
+  const statNames = [...new Set(details.flatMap(d => d.stats.map(s => s.name)))];
+  const row = (values) => {
+    const best = Math.max(...values.filter(v => v !== null));
+    return {
+      values,
+      leaders: details.filter((d, i) => values[i] === best).map(d => d.id)
+    };
+  };
+
+  return {
+    stats: statNames.map(name => ({
+      name,
+      ...row(details.map(d => d.stats.find(s => s.name === name)?.value ?? null))
+    })),
+    baseStatTotal: row(details.map(d => d.stats.reduce((sum, s) => sum + s.value, 0)))
+  };
+};
+
+/**
+ * GET /api/pokemons/compare
+ * Compares Pokémon side by side
+ * Query params: ids (2 to 6 comma-separated ids, e.g. 1,4,25), lang
+ */
+router.get('/compare', authMiddleware, requirePermission('pokemon:read'), withLanguage, async (req, res, next) => {
+  try {
+    const rawIds = typeof req.query.ids === 'string'
+      ? req.query.ids.split(',').map(id => id.trim()).filter(id => id.length > 0)
+      : [];
+    const invalid = rawIds.filter(id => !/^\d+$/.test(id));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid Pokemon ID: ${invalid.join(', ')}`
+      });
+    }
+
+    const ids = [...new Set(rawIds.map(id => parseInt(id, 10)))];
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE) {
+      return res.status(400).json({
+        success: false,
+        error: `Between 2 and ${MAX_COMPARE} different Pokemon IDs are required`
+      });
+    }
+
+    const details = await Promise.all(ids.map(id => getPokemonDetail(id, req.language).catch((error) => {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    })));
+
+    const missing = ids.filter((id, i) => !details[i]);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Pokemon not found: ${missing.join(', ')}`
+      });
+    }
+
+    const { stats, baseStatTotal } = compareStats(details);
+    const sharedTypes = details[0].types.filter(t => details.every(d => d.types.includes(t)));
+    const abilityNames = details.map(d => d.abilities.map(a => a.name));
+    const sharedAbilities = abilityNames[0].filter(a => abilityNames.every(names => names.includes(a)));
+
+    res.set('Content-Language', req.language);
+    res.json({
+      success: true,
+      data: {
+        language: req.language,
+        pokemon: details.map((d, i) => ({ ...d, baseStatTotal: baseStatTotal.values[i] })),
+        stats,
+        baseStatTotal,
+        types: {
+          shared: sharedTypes,
+          unique: Object.fromEntries(details.map(d => [
+            d.id,
+            d.types.filter(t => details.every(other => other === d || !other.types.includes(t)))
+          ]))
+        },
+        abilities: {
+          shared: sharedAbilities
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/pokemons/number/:numbers
  * Returns Pokémon by number(s) - supports multiple numbers separated by comma
  * Examples: /number/4, /number/004, /number/1,4,25
  */
-router.get('/number/:numbers', authMiddleware, async (req, res, next) => {
+router.get('/number/:numbers', authMiddleware, requirePermission('pokemon:read'), async (req, res, next) => {
   try {
     const { numbers } = req.params;
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
@@ -137,14 +485,7 @@ router.get('/number/:numbers', authMiddleware, async (req, res, next) => {
       });
     }
 
-    const allPokemon = await getCachedOrFetch('all-pokemon', async () => {
-      const response = await axios.get(`${POKEAPI_BASE}/pokemon?limit=1500`);
-      return response.data.results.map((p, index) => ({
-        name: p.name,
-        number: index + 1,
-        url: p.url
-      }));
-    });
+    const allPokemon = await getAllPokemon();
 
     const filtered = allPokemon.filter(p => searchNumbers.includes(p.number));
 
@@ -163,21 +504,11 @@ router.get('/number/:numbers', authMiddleware, async (req, res, next) => {
     const total = filtered.length;
     const paginated = filtered.slice(offset, offset + limit);
 
-    const pokemonDetails = await Promise.all(
-      paginated.map(async (p) => {
-        return getCachedOrFetch(`pokemon-${p.name}`, async () => {
-          const response = await axios.get(`${POKEAPI_BASE}/pokemon/${p.name}`);
-          return {
-            id: response.data.id,
-            name: response.data.name,
-            number: response.data.id,
-            image: response.data.sprites.other['official-artwork'].front_default ||
-                   response.data.sprites.front_default,
-            types: response.data.types.map(t => t.type.name)
-          };
-        });
-      })
-    );
+    const favoriteIds = isGranted(req.user, 'collection:manage') ? getFavoriteIds(req.user.sub) : null;
+    const pokemonDetails = await Promise.all(paginated.map(async p => ({
+      ...await getPokemonSummary(p.name),
+      ...favoriteIds && { isFavorite: favoriteIds.has(idFromUrl(p.url)) }
+    })));
 
     res.json({
       success: true,
@@ -192,10 +523,24 @@ router.get('/number/:numbers', authMiddleware, async (req, res, next) => {
 });
 
 /**
- * GET /api/pokemons/:id
- * Returns detailed information about a specific Pokémon
+ * DELETE /api/pokemons/cache
+ * Clears the PokeAPI response cache (admin only)
  */
-router.get('/:id', authMiddleware, async (req, res, next) => {
+router.delete('/cache', authMiddleware, requirePermission('cache:manage'), (req, res) => {
+  const cleared = cache.size;
+  cache.clear();
+
+  res.json({
+    success: true,
+    data: { cleared }
+  });
+});
+
+/**
+ * GET /api/pokemons/:id/evolution
+ * Returns the evolution chain of a Pokémon's species as a tree of stages
+ */
+router.get('/:id/evolution', authMiddleware, requirePermission('pokemon:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -206,74 +551,179 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
       });
     }
 
-    const pokemonData = await getCachedOrFetch(`pokemon-detail-${id}`, async () => {
-      const pokemon = await axios.get(`${POKEAPI_BASE}/pokemon/${id}`);
-      
-      let species = null;
-      try {
-        species = await axios.get(`${POKEAPI_BASE}/pokemon-species/${id}`);
-      } catch (speciesError) {
-        if (pokemon.data.species?.url) {
-          species = await axios.get(pokemon.data.species.url);
-        }
-      }
+    const evolution = await getEvolutionChain(id);
 
-      const result = {
-        id: pokemon.data.id,
-        name: pokemon.data.name,
-        number: pokemon.data.id,
-        image: pokemon.data.sprites.other['official-artwork'].front_default ||
-               pokemon.data.sprites.front_default,
-        images: {
-          front: pokemon.data.sprites.front_default,
-          back: pokemon.data.sprites.back_default,
-          frontShiny: pokemon.data.sprites.front_shiny,
-          backShiny: pokemon.data.sprites.back_shiny,
-          artwork: pokemon.data.sprites.other['official-artwork'].front_default
-        },
-        types: pokemon.data.types.map(t => t.type.name),
-        height: pokemon.data.height / 10,
-        weight: pokemon.data.weight / 10,
-        abilities: pokemon.data.abilities.map(a => ({
-          name: a.ability.name,
-          isHidden: a.is_hidden
-        })),
-        moves: pokemon.data.moves.slice(0, 20).map(m => ({
-          name: m.move.name,
-          learnMethod: m.version_group_details[0]?.move_learn_method.name
-        })),
-        stats: pokemon.data.stats.map(s => ({
-          name: s.stat.name,
-          value: s.base_stat
-        }))
-      };
+    if (!evolution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evolution chain not found'
+      });
+    }
 
-      if (species?.data) {
-        result.forms = species.data.varieties?.map(v => ({
-          name: v.pokemon.name,
-          isDefault: v.is_default
-        })) || [];
-        result.description = species.data.flavor_text_entries
-          ?.find(e => e.language.name === 'en')?.flavor_text
-          ?.replace(/\f/g, ' ') || 'No description available';
-        result.genus = species.data.genera
-          ?.find(g => g.language.name === 'en')?.genus || 'Unknown';
-        result.habitat = species.data.habitat?.name || 'Unknown';
-        result.generation = species.data.generation?.name || 'Unknown';
-      } else {
-        result.forms = [];
-        result.description = 'No description available';
-        result.genus = 'Unknown';
-        result.habitat = 'Unknown';
-        result.generation = 'Unknown';
+    res.json({
+      success: true,
+      data: evolution
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pokemons/:id/matchups
+ * Returns the combined weaknesses, resistances and immunities of a Pokémon's types
+ */
+router.get('/:id/matchups', authMiddleware, requirePermission('pokemon:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID is required'
+      });
+    }
+
+    const pokemon = await getPokemonSummary(id);
+    const matchups = await getMatchups(pokemon.types);
+
+    res.json({
+      success: true,
+      data: {
+        id: pokemon.id,
+        name: pokemon.name,
+        types: pokemon.types,
+        ...matchups
       }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+    next(error);
+  }
+});
 
-      return result;
+/**
+ * GET /api/pokemons/:id/moves
+ * Returns the moves a Pokémon learns in one version group
+ * Query params: versionGroup (default: newest), learnMethod (comma-separated),
+ * details (true to include type, power, accuracy, PP and damage class), limit, offset
+ */
+router.get('/:id/moves', authMiddleware, requirePermission('pokemon:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const learnMethods = typeof req.query.learnMethod === 'string'
+      ? req.query.learnMethod.split(',').map(m => m.trim().toLowerCase()).filter(m => m.length > 0)
+      : [];
+    const withDetails = req.query.details === 'true';
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID is required'
+      });
+    }
+
+    const unknownMethods = learnMethods.filter(m => !LEARN_METHODS.includes(m));
+    if (unknownMethods.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Learn method must be one of: ${LEARN_METHODS.join(', ')}`
+      });
+    }
+
+    const pokemon = await getPokemon(id);
+    const versionGroups = listVersionGroups(pokemon);
+    const versionGroup = typeof req.query.versionGroup === 'string'
+      ? req.query.versionGroup.toLowerCase()
+      : versionGroups[0] || null;
+
+    if (req.query.versionGroup !== undefined && !versionGroups.includes(versionGroup)) {
+      return res.status(400).json({
+        success: false,
+        error: `Version group must be one of: ${versionGroups.join(', ')}`
+      });
+    }
+
+    const moves = listPokemonMoves(pokemon, { versionGroup, learnMethods });
+
+    const total = moves.length;
+    let paginated = moves.slice(offset, offset + limit);
+
+    if (withDetails) {
+      // A move PokeAPI does not know gets empty details instead of failing the Pokémon
+      const emptyDetails = { type: null, power: null, accuracy: null, pp: null, damageClass: null };
+      paginated = await Promise.all(paginated.map(async (move) => ({
+        ...move,
+        ...await getMoveDetails(move.name).catch((error) => {
+          if (error.response?.status !== 404) throw error;
+          return emptyDetails;
+        })
+      })));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        versionGroup,
+        versionGroups,
+        results: paginated,
+        pagination: { total, limit, offset, hasNext: offset + limit < total, hasPrev: offset > 0 }
+      }
     });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pokemon not found'
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pokemons/:id
+ * Returns detailed information about a specific Pokémon by id, name or form slug,
+ * with the caller's favorite flag, tags and notes (only for credentials with collection:manage)
+ * Query params: lang (defaults to the Accept-Language header, then English)
+ */
+router.get('/:id', authMiddleware, requirePermission('pokemon:read'), withLanguage, async (req, res, next) => {
+  try {
+    const id = req.params.id.trim().toLowerCase();
+
+    if (!POKEMON_REF_PATTERN.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid Pokemon ID or name is required'
+      });
+    }
+
+    const pokemonData = await getPokemonDetail(id, req.language);
+
+    // The caller's collection is only shown to credentials that may manage it
+    const collection = isGranted(req.user, 'collection:manage') && {
+      isFavorite: getFavoriteIds(req.user.sub).has(pokemonData.id),
+      tags: getTagsFor(req.user.sub, pokemonData.id),
+      notes: listNotes(req.user.sub, pokemonData.id).map(({ pokemonId, ...note }) => toPublicNote(note))
+    };
 
+    res.set('Content-Language', req.language);
     res.json({
       success: true,
-      data: pokemonData
+      data: { ...pokemonData, ...collection }
     });
   } catch (error) {
     if (error.response?.status === 404) {
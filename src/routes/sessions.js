@@ -0,0 +1,42 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { listSessions, toPublicSession } = require('../services/sessions');
+const { endSessionTokens } = require('../services/tokens');
+
+const router = express.Router();
+
+/**
+ * GET /api/auth/sessions
+ * Lists the current user's active sessions, most recently used first
+ */
+router.get('/', authMiddleware, requirePermission('account:manage'), (req, res) => {
+  const results = listSessions(req.user.sub)
+    .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+    .map(s => ({ ...toPublicSession(s), current: s.id === req.user.sid }));
+
+  res.json({
+    success: true,
+    data: { results }
+  });
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Ends one of the current user's sessions and revokes its tokens
+ */
+router.delete('/:id', authMiddleware, requirePermission('account:manage'), (req, res) => {
+  if (!endSessionTokens(req.params.id, req.user.sub)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Session ended'
+  });
+});
+
+module.exports = router;
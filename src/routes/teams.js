@@ -0,0 +1,186 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const {
+  MAX_NAME_LENGTH,
+  validateTeam,
+  toPublicTeam,
+  listTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  analyzeTeam
+} = require('../services/teams');
+const { importPaste, formatTeam } = require('../services/showdown');
+
+const router = express.Router();
+
+const teamNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Team not found'
+});
+
+/**
+ * GET /api/teams
+ * Lists the current user's teams, most recently updated first
+ */
+router.get('/', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const results = listTeams(req.user.sub)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(toPublicTeam);
+
+  res.json({
+    success: true,
+    data: { results }
+  });
+});
+
+/**
+ * POST /api/teams
+ * Creates a team after checking each member's ability and moves against PokeAPI
+ * Body: name, members (up to 6 of { pokemon, nickname, ability, moves, item })
+ */
+router.post('/', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const team = createTeam(req.user.sub, await validateTeam(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: toPublicTeam(team)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/teams/import
+ * Creates a team from a Pokémon Showdown paste, sent as text/plain or as
+ * JSON { paste, name }. Problems are reported per line of the paste.
+ */
+router.post('/import', authMiddleware, requirePermission('collection:manage'), express.text(), async (req, res, next) => {
+  try {
+    const paste = typeof req.body === 'string' ? req.body : req.body.paste;
+
+    if (typeof paste !== 'string' || !paste.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A Showdown paste is required'
+      });
+    }
+
+    const imported = await importPaste(paste);
+    const name = (typeof req.body.name === 'string' && req.body.name.trim()) || imported.name || 'Imported team';
+
+    if (name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Name must be at most ${MAX_NAME_LENGTH} characters`
+      });
+    }
+
+    const team = createTeam(req.user.sub, { name, members: imported.members });
+
+    res.status(201).json({
+      success: true,
+      data: toPublicTeam(team)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/teams/:id
+ * Returns one of the current user's teams
+ */
+router.get('/:id', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const team = getTeam(req.user.sub, req.params.id);
+  if (!team) {
+    return teamNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    data: toPublicTeam(team)
+  });
+});
+
+/**
+ * PUT /api/teams/:id
+ * Replaces a team, validated like POST /api/teams
+ */
+router.put('/:id', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    if (!getTeam(req.user.sub, req.params.id)) {
+      return teamNotFound(res);
+    }
+
+    // The team may have been deleted while the members were being validated
+    const team = updateTeam(req.user.sub, req.params.id, await validateTeam(req.body));
+    if (!team) {
+      return teamNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: toPublicTeam(team)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/teams/:id
+ * Deletes one of the current user's teams
+ */
+router.delete('/:id', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  if (!deleteTeam(req.user.sub, req.params.id)) {
+    return teamNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    message: 'Team deleted'
+  });
+});
+
+/**
+ * GET /api/teams/:id/export
+ * Returns a team in Pokémon Showdown's paste format
+ */
+router.get('/:id/export', authMiddleware, requirePermission('collection:manage'), (req, res) => {
+  const team = getTeam(req.user.sub, req.params.id);
+  if (!team) {
+    return teamNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    data: { name: team.name, paste: formatTeam(team) }
+  });
+});
+
+/**
+ * GET /api/teams/:id/analysis
+ * Reports the team's shared weaknesses and offensive type coverage
+ */
+router.get('/:id/analysis', authMiddleware, requirePermission('collection:manage'), async (req, res, next) => {
+  try {
+    const team = getTeam(req.user.sub, req.params.id);
+    if (!team) {
+      return teamNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: await analyzeTeam(team)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { getTypeRelations } = require('../services/typeChart');
+
+const router = express.Router();
+
+const TYPE_NAME_PATTERN = /^[a-z-]+$/;
+
+/**
+ * GET /api/types/:name
+ * Returns a type's offensive and defensive damage multipliers
+ */
+router.get('/:name', authMiddleware, requirePermission('pokemon:read'), async (req, res, next) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (!TYPE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid type name is required'
+      });
+    }
+
+    const type = await getTypeRelations(name);
+
+    if (!type) {
+      return res.status(404).json({
+        success: false,
+        error: 'Type not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: type
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
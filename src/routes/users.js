@@ -0,0 +1,63 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { findById, listUsers, updateUser, getRole, toPublicUser } = require('../services/users');
+const { ROLES, isValidRole } = require('../services/roles');
+const { revokeTokensIssuedBefore } = require('../services/tokens');
+
+const router = express.Router();
+
+/**
+ * GET /api/users
+ * Lists all user accounts (admin only)
+ */
+router.get('/', authMiddleware, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: { results: listUsers().map(toPublicUser) }
+  });
+});
+
+/**
+ * PATCH /api/users/:id/role
+ * Changes a user's role (admin only)
+ * The user's existing tokens are revoked so the new role applies immediately
+ */
+router.patch('/:id/role', authMiddleware, requirePermission('users:manage'), (req, res) => {
+  const { role } = req.body;
+
+  if (!isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Role must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  const user = findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const admins = listUsers().filter(u => getRole(u) === 'admin');
+  if (getRole(user) === 'admin' && role !== 'admin' && admins.length === 1) {
+    return res.status(409).json({
+      success: false,
+      error: 'Cannot remove the last admin'
+    });
+  }
+
+  const updated = updateUser(user.id, { role });
+  if (getRole(user) !== role) {
+    revokeTokensIssuedBefore(user.id);
+  }
+
+  res.json({
+    success: true,
+    data: { user: toPublicUser(updated) }
+  });
+});
+
+module.exports = router;
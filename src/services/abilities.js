@@ -0,0 +1,84 @@
+const axios = require('axios');
+const { POKEAPI_BASE, getCachedOrFetch, idFromUrl } = require('./pokeapi');
+const { localize } = require('./languages');
+
+/**
+ * Index of every ability: { id, name }
+ */
+const getAllAbilities = () => getCachedOrFetch('all-abilities', async () => {
+  const response = await axios.get(`${POKEAPI_BASE}/ability?limit=1000`);
+  return response.data.results.map(a => ({
+    id: idFromUrl(a.url),
+    name: a.name
+  }));
+});
+
+/**
+ * Ability resource as returned by PokeAPI, or null if it does not exist
+ */
+const getAbility = async (idOrName) => {
+  try {
+    return await getCachedOrFetch(`ability-${idOrName}`, async () => {
+      const response = await axios.get(`${POKEAPI_BASE}/ability/${idOrName}`);
+      return response.data;
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Localized name and effect texts of an ability. Fields missing in
+ * `language` fall back to English and are listed in `languageFallbacks`.
+ */
+const localizeAbility = (ability, language) => {
+  const name = localize(ability.names, language);
+  const effect = localize(ability.effect_entries, language);
+  const flavorText = localize(ability.flavor_text_entries, language);
+
+  const languageFallbacks = Object.entries({ displayName: name, effect, flavorText })
+    .filter(([, { entry, language: used }]) => entry && used !== language)
+    .map(([field]) => field);
+
+  return {
+    displayName: name.entry?.name || ability.name,
+    effect: effect.entry?.effect || null,
+    shortEffect: effect.entry?.short_effect || null,
+    flavorText: flavorText.entry?.flavor_text?.replace(/\s+/g, ' ') || null,
+    language,
+    languageFallbacks
+  };
+};
+
+const toAbilitySummary = (ability, language) => {
+  const { displayName, shortEffect } = localizeAbility(ability, language);
+  return {
+    id: ability.id,
+    name: ability.name,
+    displayName,
+    shortEffect,
+    generation: ability.generation?.name || null
+  };
+};
+
+const toAbilityDetail = (ability, language) => ({
+  id: ability.id,
+  name: ability.name,
+  generation: ability.generation?.name || null,
+  ...localizeAbility(ability, language),
+  pokemon: ability.pokemon.map(p => ({
+    id: idFromUrl(p.pokemon.url),
+    name: p.pokemon.name,
+    isHidden: p.is_hidden
+  }))
+});
+
+module.exports = {
+  getAllAbilities,
+  getAbility,
+  toAbilitySummary,
+  toAbilityDetail
+};
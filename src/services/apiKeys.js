@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+
+const KEY_PREFIX = 'pk_';
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Only the SHA-256 of each key is stored; keys are random, so a slow hash adds nothing
+const apiKeys = createCollection('api-keys');
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isActive = (record) =>
+  !record.revokedAt && (!record.expiresAt || new Date(record.expiresAt).getTime() > Date.now());
+
+const toPublicKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt,
+  active: isActive(record)
+});
+
+/**
+ * Creates an API key for a user. The plain key is only returned here.
+ */
+const createApiKey = (userId, { name, scopes, expiresAt = null }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const id = crypto.randomUUID();
+  const record = apiKeys.set(id, {
+    id,
+    userId,
+    name,
+    scopes,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null
+  });
+  return { key, record };
+};
+
+const listApiKeys = (userId) => apiKeys.filter(k => k.userId === userId);
+
+/**
+ * Revokes one of the user's keys. Returns false if the user has no such key.
+ */
+const revokeApiKey = (userId, id) => {
+  const record = apiKeys.get(id);
+  if (!record || record.userId !== userId) {
+    return false;
+  }
+  if (!record.revokedAt) {
+    apiKeys.set(id, { ...record, revokedAt: new Date().toISOString() });
+  }
+  return true;
+};
+
+/**
+ * Looks up an active key by its plain value and records its use
+ */
+const findActiveApiKey = (key) => {
+  const keyHash = hashKey(key);
+  const record = apiKeys.find(k => k.keyHash === keyHash);
+  if (!record || !isActive(record)) {
+    return null;
+  }
+
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION) {
+    return apiKeys.set(record.id, { ...record, lastUsedAt: new Date().toISOString() });
+  }
+  return record;
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findActiveApiKey,
+  toPublicKey
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__apiKeys = apiKeys;
+}
@@ -0,0 +1,77 @@
+const axios = require('axios');
+const { getCachedOrFetch, getPokemonSummary, getSpecies, idFromUrl } = require('./pokeapi');
+
+const GENDERS = { 1: 'female', 2: 'male', 3: 'genderless' };
+const RELATIVE_PHYSICAL_STATS = { '-1': 'attack < defense', 0: 'attack = defense', 1: 'attack > defense' };
+
+/**
+ * Turns one of PokeAPI's evolution_details entries into
+ * { trigger, conditions }, keeping only the conditions that are set
+ */
+const toEvolutionMethod = (details) => {
+  const conditions = {
+    minLevel: details.min_level,
+    item: details.item?.name,
+    heldItem: details.held_item?.name,
+    knownMove: details.known_move?.name,
+    knownMoveType: details.known_move_type?.name,
+    location: details.location?.name,
+    minHappiness: details.min_happiness,
+    minAffection: details.min_affection,
+    minBeauty: details.min_beauty,
+    timeOfDay: details.time_of_day || undefined,
+    gender: GENDERS[details.gender],
+    partySpecies: details.party_species?.name,
+    partyType: details.party_type?.name,
+    relativePhysicalStats: RELATIVE_PHYSICAL_STATS[details.relative_physical_stats],
+    tradeSpecies: details.trade_species?.name,
+    needsOverworldRain: details.needs_overworld_rain || undefined,
+    turnUpsideDown: details.turn_upside_down || undefined
+  };
+
+  return {
+    trigger: details.trigger?.name || 'unknown',
+    conditions: Object.fromEntries(
+      Object.entries(conditions).filter(([, value]) => value !== undefined && value !== null)
+    )
+  };
+};
+
+/**
+ * Builds a stage and its descendants from a chain link. Each stage has
+ * the list summary of the species' default Pokémon, the ways it is
+ * evolved into (empty for the first stage) and the stages it evolves to.
+ */
+const toStage = async (link) => {
+  const [summary, evolvesTo] = await Promise.all([
+    getPokemonSummary(idFromUrl(link.species.url)),
+    Promise.all(link.evolves_to.map(toStage))
+  ]);
+
+  return {
+    ...summary,
+    evolutionDetails: link.evolution_details.map(toEvolutionMethod),
+    evolvesTo
+  };
+};
+
+/**
+ * Evolution tree of the species a Pokémon belongs to
+ */
+const getEvolutionChain = async (id) => {
+  const species = await getSpecies(id);
+  if (!species.evolution_chain?.url) {
+    return null;
+  }
+
+  const chainId = idFromUrl(species.evolution_chain.url);
+  return getCachedOrFetch(`evolution-chain-${chainId}`, async () => {
+    const response = await axios.get(species.evolution_chain.url);
+    return {
+      id: chainId,
+      chain: await toStage(response.data.chain)
+    };
+  });
+};
+
+module.exports = { getEvolutionChain };
@@ -0,0 +1,62 @@
+const { createCollection } = require('./fileStore');
+
+// One record per user: { userId, pokemon: [{ id, addedAt }] }, keyed by user id
+const favorites = createCollection('favorites');
+
+const listFavorites = (userId) => favorites.get(userId)?.pokemon || [];
+
+const getFavoriteIds = (userId) => new Set(listFavorites(userId).map(f => f.id));
+
+const save = (userId, pokemon) => {
+  favorites.set(userId, { userId, pokemon, updatedAt: new Date().toISOString() });
+  return pokemon;
+};
+
+/**
+ * Adds a Pokémon id to a user's favorites. Returns the entry, existing or new.
+ */
+const addFavorite = (userId, pokemonId) => {
+  const current = listFavorites(userId);
+  const existing = current.find(f => f.id === pokemonId);
+  if (existing) {
+    return existing;
+  }
+
+  const entry = { id: pokemonId, addedAt: new Date().toISOString() };
+  save(userId, [...current, entry]);
+  return entry;
+};
+
+/**
+ * Removes a Pokémon id from a user's favorites. Returns false if it was not there.
+ */
+const removeFavorite = (userId, pokemonId) => {
+  const current = listFavorites(userId);
+  if (!current.some(f => f.id === pokemonId)) {
+    return false;
+  }
+  save(userId, current.filter(f => f.id !== pokemonId));
+  return true;
+};
+
+/**
+ * Replaces a user's favorites, keeping addedAt for ids already in the list
+ */
+const replaceFavorites = (userId, pokemonIds) => {
+  const current = new Map(listFavorites(userId).map(f => [f.id, f]));
+  const now = new Date().toISOString();
+  return save(userId, [...new Set(pokemonIds)].map(id => current.get(id) || { id, addedAt: now }));
+};
+
+module.exports = {
+  listFavorites,
+  getFavoriteIds,
+  addFavorite,
+  removeFavorite,
+  replaceFavorites
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__favorites = favorites;
+}
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tests run fully in memory unless DATA_DIR is set explicitly
+const DATA_DIR = process.env.DATA_DIR ||
+  (process.env.NODE_ENV === 'test' ? null : path.join(__dirname, '..', '..', 'data'));
+
+const load = (file) => {
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+  return Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+/**
+ * Creates a collection of records keyed by id.
+ * Records live in memory and are mirrored to `<dir>/<name>.json` on every write.
+ */
+const createCollection = (name, { dir = DATA_DIR } = {}) => {
+  const file = dir ? path.join(dir, `${name}.json`) : null;
+  const records = new Map(load(file));
+
+  const persist = () => {
+    if (!file) return;
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(records), null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    get: (id) => records.get(id),
+    all: () => [...records.values()],
+    find: (predicate) => [...records.values()].find(predicate),
+    filter: (predicate) => [...records.values()].filter(predicate),
+    set: (id, record) => {
+      records.set(id, record);
+      persist();
+      return record;
+    },
+    // Writes several [id, record] pairs with a single file rewrite
+    setMany: (entries) => {
+      entries.forEach(([id, record]) => records.set(id, record));
+      if (entries.length > 0) persist();
+    },
+    delete: (id) => {
+      const existed = records.delete(id);
+      if (existed) persist();
+      return existed;
+    },
+    clear: () => {
+      records.clear();
+      persist();
+    }
+  };
+};
+
+module.exports = { createCollection };
@@ -0,0 +1,81 @@
+// Languages PokeAPI has names, descriptions and genera in
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'ja', 'ja-Hrkt', 'ko', 'zh-Hans', 'zh-Hant', 'cs'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Regional tags that PokeAPI names by script
+const ALIASES = new Map([
+  ['zh-cn', 'zh-Hans'],
+  ['zh-sg', 'zh-Hans'],
+  ['zh-tw', 'zh-Hant'],
+  ['zh-hk', 'zh-Hant'],
+  ['zh', 'zh-Hans']
+]);
+
+/**
+ * Maps a language tag (e.g. `pt-BR`, `zh-TW`, `FR`) to a supported
+ * language, or null if there is none
+ */
+const matchLanguage = (tag) => {
+  const lower = tag.trim().toLowerCase();
+  if (!lower) return null;
+
+  const exact = SUPPORTED_LANGUAGES.find(l => l.toLowerCase() === lower) || ALIASES.get(lower);
+  if (exact) return exact;
+
+  const primary = lower.split('-')[0];
+  return SUPPORTED_LANGUAGES.find(l => l.toLowerCase() === primary) || ALIASES.get(primary) || null;
+};
+
+/**
+ * Picks the best supported language from an Accept-Language header
+ */
+const fromAcceptLanguage = (header) => {
+  const ranges = header.split(',')
+    .map(part => {
+      const [tag, ...params] = part.split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1 };
+    })
+    .filter(r => r.tag && r.tag !== '*' && r.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of ranges) {
+    const language = matchLanguage(tag);
+    if (language) return language;
+  }
+  return null;
+};
+
+/**
+ * Language for a request: the `lang` query parameter, else the best
+ * match from Accept-Language, else English. Returns null if `lang` is
+ * given but not supported.
+ */
+const resolveLanguage = (req) => {
+  if (req.query.lang !== undefined) {
+    return typeof req.query.lang === 'string' ? matchLanguage(req.query.lang) : null;
+  }
+  const header = req.get('accept-language');
+  return (header && fromAcceptLanguage(header)) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Picks the entry in `language` from a PokeAPI list of localized
+ * entries, falling back to English. Returns { entry, language }.
+ */
+const localize = (entries, language) => {
+  const find = (lang) => entries?.find(e => e.language.name === lang);
+  const entry = find(language);
+  if (entry) return { entry, language };
+
+  const fallback = find(DEFAULT_LANGUAGE);
+  return { entry: fallback, language: fallback ? DEFAULT_LANGUAGE : null };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  matchLanguage,
+  resolveLanguage,
+  localize
+};
@@ -0,0 +1,106 @@
+const env = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const DEFAULT_OPTIONS = {
+  // Per-username limits
+  user: {
+    freeAttempts: env('LOGIN_FREE_ATTEMPTS', 3),
+    maxAttempts: env('LOGIN_MAX_ATTEMPTS', 10)
+  },
+  // Per-IP limits, higher since clients can share an address
+  ip: {
+    freeAttempts: env('LOGIN_IP_FREE_ATTEMPTS', 10),
+    maxAttempts: env('LOGIN_IP_MAX_ATTEMPTS', 50)
+  },
+  baseDelayMs: env('LOGIN_BACKOFF_BASE_MS', 1000),
+  maxDelayMs: env('LOGIN_BACKOFF_MAX_MS', 60 * 1000),
+  lockoutMs: env('LOGIN_LOCKOUT_MS', 15 * 60 * 1000),
+  // Failures older than this are forgotten
+  windowMs: env('LOGIN_ATTEMPT_WINDOW_MS', 15 * 60 * 1000)
+};
+
+/**
+ * Tracks failed logins per username and per client IP.
+ * After `freeAttempts` failures each further attempt has to wait an
+ * exponentially growing delay; after `maxAttempts` the key is locked out.
+ *
+ * `store` can be any Map-like object (get/set/delete/clear).
+ */
+const createLoginThrottle = (options = {}) => {
+  const config = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    user: { ...DEFAULT_OPTIONS.user, ...options.user },
+    ip: { ...DEFAULT_OPTIONS.ip, ...options.ip }
+  };
+  const store = options.store || new Map();
+  const now = options.now || Date.now;
+
+  const keysFor = ({ username, ip }) => {
+    const keys = [];
+    if (username) keys.push({ key: `user:${username.trim().toLowerCase()}`, limits: config.user });
+    if (ip) keys.push({ key: `ip:${ip}`, limits: config.ip });
+    return keys;
+  };
+
+  const getEntry = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.lockedUntil <= now() && now() - entry.lastFailureAt > config.windowMs) {
+      store.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    /**
+     * Returns how many milliseconds the client must wait before the next attempt (0 if allowed)
+     */
+    check(identity) {
+      return keysFor(identity).reduce((wait, { key }) => {
+        const entry = getEntry(key);
+        return entry ? Math.max(wait, entry.lockedUntil - now()) : wait;
+      }, 0);
+    },
+
+    /**
+     * Like check, but when the attempt is allowed it is counted as a failure right away.
+     * Parallel attempts therefore cannot all pass while the password is still being
+     * hashed; call reset once the attempt succeeds.
+     */
+    reserve(identity) {
+      const wait = this.check(identity);
+      if (wait === 0) {
+        this.recordFailure(identity);
+      }
+      return wait;
+    },
+
+    recordFailure(identity) {
+      keysFor(identity).forEach(({ key, limits }) => {
+        const failures = (getEntry(key)?.failures || 0) + 1;
+        let lockedUntil = 0;
+
+        if (failures >= limits.maxAttempts) {
+          lockedUntil = now() + config.lockoutMs;
+        } else if (failures >= limits.freeAttempts) {
+          const delay = config.baseDelayMs * 2 ** (failures - limits.freeAttempts);
+          lockedUntil = now() + Math.min(delay, config.maxDelayMs);
+        }
+
+        store.set(key, { failures, lastFailureAt: now(), lockedUntil });
+      });
+    },
+
+    reset(identity) {
+      keysFor(identity).forEach(({ key }) => store.delete(key));
+    },
+
+    clear() {
+      store.clear();
+    }
+  };
+};
+
+const loginThrottle = createLoginThrottle();
+
+module.exports = { createLoginThrottle, loginThrottle };
@@ -0,0 +1,63 @@
+const axios = require('axios');
+const { POKEAPI_BASE, getCachedOrFetch, idFromUrl } = require('./pokeapi');
+
+// Learn methods PokeAPI knows (/move-learn-method)
+const LEARN_METHODS = [
+  'level-up', 'egg', 'tutor', 'machine', 'stadium-surfing-pikachu', 'light-ball-egg',
+  'colosseum-purification', 'xd-shadow', 'xd-purification', 'form-change', 'zygarde-cube'
+];
+
+/**
+ * Version groups a Pokémon has move data for, newest first
+ */
+const listVersionGroups = (pokemon) => {
+  const groups = new Map();
+  pokemon.moves.forEach(m => m.version_group_details.forEach(d => {
+    groups.set(d.version_group.name, idFromUrl(d.version_group.url));
+  }));
+  return [...groups.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+};
+
+/**
+ * Moves a Pokémon learns in one version group, one entry per move and
+ * learn method. Level-up moves come first, by level; the rest by method
+ * and name. `learnMethods` limits the methods (e.g. ['level-up', 'machine']).
+ */
+const listPokemonMoves = (pokemon, { versionGroup, learnMethods = [] } = {}) => {
+  const moves = [];
+  pokemon.moves.forEach(m => {
+    m.version_group_details
+      .filter(d => d.version_group.name === versionGroup)
+      .filter(d => learnMethods.length === 0 || learnMethods.includes(d.move_learn_method.name))
+      .forEach(d => moves.push({
+        name: m.move.name,
+        learnMethod: d.move_learn_method.name,
+        level: d.move_learn_method.name === 'level-up' ? d.level_learned_at : null
+      }));
+  });
+
+  return moves.sort((a, b) => {
+    const aLevelUp = a.learnMethod === 'level-up';
+    const bLevelUp = b.learnMethod === 'level-up';
+    if (aLevelUp !== bLevelUp) return aLevelUp ? -1 : 1;
+    return (a.level ?? 0) - (b.level ?? 0) ||
+      a.learnMethod.localeCompare(b.learnMethod) ||
+      a.name.localeCompare(b.name);
+  });
+};
+
+/**
+ * Type, power, accuracy, PP and damage class of a move
+ */
+const getMoveDetails = (name) => getCachedOrFetch(`move-${name}`, async () => {
+  const response = await axios.get(`${POKEAPI_BASE}/move/${name}`);
+  return {
+    type: response.data.type?.name || null,
+    power: response.data.power,
+    accuracy: response.data.accuracy,
+    pp: response.data.pp,
+    damageClass: response.data.damage_class?.name || null
+  };
+});
+
+module.exports = { LEARN_METHODS, listVersionGroups, listPokemonMoves, getMoveDetails };
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+
+const MAX_NOTE_LENGTH = 2000;
+
+const notes = createCollection('pokemon-notes');
+
+const toPublicNote = ({ userId, ...note }) => note;
+
+/**
+ * A user's notes, oldest first, optionally only those on one Pokémon id
+ */
+const listNotes = (userId, pokemonId = null) => notes
+  .filter(n => n.userId === userId && (pokemonId === null || n.pokemonId === pokemonId))
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * One of the user's notes, or null if the user has no such note
+ */
+const getNote = (userId, id) => {
+  const note = notes.get(id);
+  return note && note.userId === userId ? note : null;
+};
+
+const createNote = (userId, pokemonId, text) => {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  return notes.set(id, { id, userId, pokemonId, text, createdAt: now, updatedAt: now });
+};
+
+/**
+ * Changes the text of one of the user's notes. Returns null if the user has no such note.
+ */
+const updateNote = (userId, id, text) => {
+  const note = getNote(userId, id);
+  if (!note) {
+    return null;
+  }
+  return notes.set(id, { ...note, text, updatedAt: new Date().toISOString() });
+};
+
+const deleteNote = (userId, id) => Boolean(getNote(userId, id)) && notes.delete(id);
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  toPublicNote,
+  listNotes,
+  getNote,
+  createNote,
+  updateNote,
+  deleteNote
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__notes = notes;
+}
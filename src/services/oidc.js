@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { HttpError, UnauthorizedError } = require('../errors');
+
+const AUTHORIZATION_TTL = 10 * 60 * 1000; // 10 minutes to finish the login at the provider
+// Pending requests kept at most; starting a flow is unauthenticated, so the oldest make room
+const MAX_PENDING_AUTHORIZATIONS = 10000;
+const METADATA_TTL = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256', 'PS256'];
+
+/**
+ * Providers by id. Configured through OIDC_PROVIDERS, a JSON array of:
+ * { id, name, issuer, clientId, clientSecret?, redirectUri, scope?,
+ *   authorizationEndpoint?, tokenEndpoint?, jwksUri? }
+ * Endpoints that are not given are read from the issuer's discovery document.
+ */
+const providers = new Map();
+
+// Metadata and key sets fetched from providers, keyed by URL
+const metadataCache = new Map();
+
+// Authorization requests waiting for their callback, keyed by state
+const pendingAuthorizations = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const registerProvider = (config) => {
+  const required = ['id', 'issuer', 'clientId', 'redirectUri'];
+  const missing = required.filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw new Error(`OIDC provider is missing ${missing.join(', ')}`);
+  }
+  providers.set(config.id, { name: config.id, scope: 'openid profile email', ...config });
+};
+
+const getProvider = (id) => providers.get(id);
+
+const listProviders = () => [...providers.values()].map(p => ({ id: p.id, name: p.name }));
+
+const fetchCached = async (url) => {
+  const cached = metadataCache.get(url);
+  if (cached && Date.now() - cached.timestamp < METADATA_TTL) {
+    return cached.data;
+  }
+  const response = await axios.get(url);
+  metadataCache.set(url, { data: response.data, timestamp: Date.now() });
+  return response.data;
+};
+
+/**
+ * Resolves the provider's endpoints, using discovery for any that are not configured
+ */
+const getMetadata = async (provider) => {
+  if (provider.authorizationEndpoint && provider.tokenEndpoint && provider.jwksUri) {
+    return provider;
+  }
+
+  const discovery = await fetchCached(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  return {
+    ...provider,
+    authorizationEndpoint: provider.authorizationEndpoint || discovery.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovery.token_endpoint,
+    jwksUri: provider.jwksUri || discovery.jwks_uri
+  };
+};
+
+const prunePending = () => {
+  const now = Date.now();
+  pendingAuthorizations.forEach((pending, state) => {
+    if (pending.expiresAt <= now) pendingAuthorizations.delete(state);
+  });
+};
+
+/**
+ * Starts an authorization code + PKCE flow.
+ * `linkUserId` links the identity to an existing account instead of signing in.
+ */
+const createAuthorizationRequest = async (provider, { linkUserId = null } = {}) => {
+  prunePending();
+
+  const metadata = await getMetadata(provider);
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  // Maps keep insertion order, so the first entries are the oldest
+  while (pendingAuthorizations.size >= MAX_PENDING_AUTHORIZATIONS) {
+    pendingAuthorizations.delete(pendingAuthorizations.keys().next().value);
+  }
+  pendingAuthorizations.set(state, {
+    providerId: provider.id,
+    nonce,
+    codeVerifier,
+    linkUserId,
+    expiresAt: Date.now() + AUTHORIZATION_TTL
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl: `${metadata.authorizationEndpoint}?${params}`, state };
+};
+
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (jwks) => (jwks.keys || []).find(k => !kid || k.kid === kid);
+
+  let jwk = findKey(await fetchCached(metadata.jwksUri));
+  if (!jwk) {
+    // The provider may have rotated its keys since we cached them
+    metadataCache.delete(metadata.jwksUri);
+    jwk = findKey(await fetchCached(metadata.jwksUri));
+  }
+  if (!jwk) {
+    throw new UnauthorizedError('Unknown ID token signing key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Finishes the flow: exchanges the code and verifies the ID token.
+ * Returns the ID token claims and the pending request's link target.
+ */
+const completeAuthorization = async (provider, { code, state }) => {
+  const pending = pendingAuthorizations.get(state);
+  pendingAuthorizations.delete(state);
+  if (!pending || pending.providerId !== provider.id || pending.expiresAt <= Date.now()) {
+    throw new HttpError(400, 'Invalid or expired state');
+  }
+
+  const metadata = await getMetadata(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = (await axios.post(metadata.tokenEndpoint, params)).data;
+  } catch (error) {
+    if (error.response?.status === 400 || error.response?.status === 401) {
+      throw new UnauthorizedError('Authorization code was rejected by the provider');
+    }
+    throw error;
+  }
+
+  if (!tokens.id_token) {
+    throw new UnauthorizedError('Provider did not return an ID token');
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  if (!header) {
+    throw new UnauthorizedError('Invalid ID token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(metadata, header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new UnauthorizedError('Invalid ID token');
+  }
+
+  if (claims.nonce !== pending.nonce) {
+    throw new UnauthorizedError('Invalid ID token');
+  }
+
+  return { claims, linkUserId: pending.linkUserId };
+};
+
+if (process.env.OIDC_PROVIDERS) {
+  JSON.parse(process.env.OIDC_PROVIDERS).forEach(registerProvider);
+}
+
+module.exports = {
+  MAX_PENDING_AUTHORIZATIONS,
+  registerProvider,
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization
+};
+
+// Export state for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__providers = providers;
+  module.exports.__metadataCache = metadataCache;
+  module.exports.__pendingAuthorizations = pendingAuthorizations;
+}
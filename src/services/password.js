@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const COST = parseInt(process.env.PASSWORD_HASH_COST) || 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * Output format: scrypt$N$r$p$salt$hash (salt and hash base64 encoded)
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, {
+    N: COST, r: BLOCK_SIZE, p: PARALLELISM
+  });
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELISM, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Checks a password against a stored hash in constant time
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = { hashPassword, verifyPassword };
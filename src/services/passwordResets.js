@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+const { createLoginThrottle } = require('./loginThrottle');
+
+const PASSWORD_RESET_TTL = parseInt(process.env.PASSWORD_RESET_TTL) || 30 * 60; // seconds
+
+// Reset requests per username and per client IP; every request counts, successful or not
+const resetRequestThrottle = createLoginThrottle({
+  user: { freeAttempts: 3, maxAttempts: 5 },
+  ip: { freeAttempts: 10, maxAttempts: 30 },
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  lockoutMs: 60 * 60 * 1000,
+  windowMs: 60 * 60 * 1000
+});
+
+// Keyed by the SHA-256 of the token, the token itself is never stored
+const passwordResets = createCollection('password-resets');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a single-use reset token. Outstanding tokens of the user stay valid
+ * until they expire or one of them is used, so requesting a new token cannot
+ * be used to cancel someone else's reset link.
+ */
+const createResetToken = (userId) => {
+  const now = Date.now();
+  passwordResets
+    .filter(r => new Date(r.expiresAt).getTime() <= now)
+    .forEach(r => passwordResets.delete(r.id));
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const record = passwordResets.set(hashToken(token), {
+    id: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PASSWORD_RESET_TTL * 1000).toISOString()
+  });
+  return { token, expiresAt: record.expiresAt };
+};
+
+/**
+ * Uses up a reset token. Returns the user id, or null if the token
+ * is unknown, expired or already used. A used token also ends the
+ * user's other outstanding tokens.
+ */
+const consumeResetToken = (token) => {
+  const record = passwordResets.get(hashToken(token));
+  if (!record) {
+    return null;
+  }
+
+  passwordResets.delete(record.id);
+  if (new Date(record.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  passwordResets
+    .filter(r => r.userId === record.userId)
+    .forEach(r => passwordResets.delete(r.id));
+  return record.userId;
+};
+
+module.exports = { PASSWORD_RESET_TTL, resetRequestThrottle, createResetToken, consumeResetToken };
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__passwordResets = passwordResets;
+}
@@ -0,0 +1,195 @@
+const axios = require('axios');
+
+const POKEAPI_BASE = 'https://pokeapi.co/api/v2';
+
+// Simple in-memory cache
+const cache = new Map();
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const getCachedOrFetch = async (key, fetchFn) => {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+  const data = await fetchFn();
+
+  if (data && (Array.isArray(data) ? data.length > 0 : true)) {
+    cache.set(key, { data, timestamp: Date.now() });
+  }
+  return data;
+};
+
+/**
+ * Extracts the numeric id from a PokeAPI resource URL
+ */
+const idFromUrl = (url) => parseInt(url.split('/').filter(Boolean).pop(), 10);
+
+// Alternate forms (megas, regional forms, ...) have ids above this;
+// default forms share their id with their species
+const FORM_ID_OFFSET = 10000;
+
+/**
+ * National dex numbers for the entries of PokeAPI's Pokémon list, which
+ * has no species data. A default form's number is its id. A form takes the
+ * number of the default form sharing the most leading words of its name
+ * ("mr-mime-galar" -> mr-mime, "deoxys-attack" -> deoxys-normal),
+ * else its own id.
+ */
+const nationalNumbers = (entries) => {
+  const defaultsByWord = new Map();
+  entries.filter(e => e.id <= FORM_ID_OFFSET).forEach(e => {
+    const words = e.name.split('-');
+    defaultsByWord.set(words[0], [...(defaultsByWord.get(words[0]) || []), { id: e.id, words }]);
+  });
+
+  const sharedWords = (a, b) => {
+    let count = 0;
+    while (count < a.length && count < b.length && a[count] === b[count]) count++;
+    return count;
+  };
+
+  return entries.map(({ id, name }) => {
+    if (id <= FORM_ID_OFFSET) return id;
+    const words = name.split('-');
+    let best = { id, shared: 0 };
+    (defaultsByWord.get(words[0]) || []).forEach(d => {
+      const shared = sharedWords(words, d.words);
+      if (shared > best.shared) best = { id: d.id, shared };
+    });
+    return best.id;
+  });
+};
+
+/**
+ * Index of every Pokémon: { id, name, number, url }, `number` being the
+ * national dex number that cards show as well
+ */
+const getAllPokemon = () => getCachedOrFetch('all-pokemon', async () => {
+  const response = await axios.get(`${POKEAPI_BASE}/pokemon?limit=1500`);
+  const entries = response.data.results.map(p => ({ id: idFromUrl(p.url), name: p.name, url: p.url }));
+  const numbers = nationalNumbers(entries);
+  return entries.map((entry, i) => ({ ...entry, number: numbers[i] }));
+});
+
+/**
+ * Card data shown in lists
+ */
+const getPokemonSummary = (idOrName) => getCachedOrFetch(`pokemon-${idOrName}`, async () => {
+  const response = await axios.get(`${POKEAPI_BASE}/pokemon/${idOrName}`);
+  return {
+    id: response.data.id,
+    name: response.data.name,
+    number: nationalNumber(response.data),
+    image: response.data.sprites.other['official-artwork'].front_default ||
+           response.data.sprites.front_default,
+    types: response.data.types.map(t => t.type.name)
+  };
+});
+
+/**
+ * Full Pokémon resource as returned by PokeAPI
+ */
+const getPokemon = (idOrName) => getCachedOrFetch(`pokemon-data-${idOrName}`, async () => {
+  const response = await axios.get(`${POKEAPI_BASE}/pokemon/${idOrName}`);
+  return response.data;
+});
+
+/**
+ * Resolves an id, Pokémon name or form slug (`charizard-mega-x`) to its
+ * Pokémon resource. Species names without a Pokémon of the same name
+ * (`deoxys`) resolve to the species' default form.
+ */
+const resolvePokemon = async (idOrName) => {
+  try {
+    return await getPokemon(idOrName);
+  } catch (error) {
+    if (error.response?.status !== 404 || /^\d+$/.test(String(idOrName))) {
+      throw error;
+    }
+    const species = await getCachedOrFetch(`pokemon-species-${idOrName}`, async () => {
+      const response = await axios.get(`${POKEAPI_BASE}/pokemon-species/${idOrName}`);
+      return response.data;
+    });
+    const variety = species.varieties.find(v => v.is_default) || species.varieties[0];
+    return getPokemon(variety.pokemon.name);
+  }
+};
+
+/**
+ * National dex number of a Pokémon: its species id. Forms have
+ * their own ids above 10000.
+ */
+const nationalNumber = (pokemon) =>
+  pokemon.species?.url ? idFromUrl(pokemon.species.url) : pokemon.id;
+
+/**
+ * Species resource for a Pokémon id. Alternate forms (ids above 10000)
+ * have no species of their own, so theirs is read from the Pokémon.
+ */
+const getSpecies = (id) => getCachedOrFetch(`pokemon-species-${id}`, async () => {
+  try {
+    return (await axios.get(`${POKEAPI_BASE}/pokemon-species/${id}`)).data;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+    const pokemon = await axios.get(`${POKEAPI_BASE}/pokemon/${id}`);
+    return (await axios.get(pokemon.data.species.url)).data;
+  }
+});
+
+/**
+ * Filterable PokeAPI resources. Each maps a value (e.g. `fire`) to the
+ * Pokémon ids it contains; generation and habitat list species, whose
+ * ids are those of their default Pokémon.
+ */
+const FILTERS = {
+  type: {
+    resource: 'type',
+    ids: (data) => data.pokemon.map(p => idFromUrl(p.pokemon.url))
+  },
+  generation: {
+    resource: 'generation',
+    ids: (data) => data.pokemon_species.map(s => idFromUrl(s.url))
+  },
+  habitat: {
+    resource: 'pokemon-habitat',
+    ids: (data) => data.pokemon_species.map(s => idFromUrl(s.url))
+  }
+};
+
+/**
+ * Returns the set of Pokémon ids matching a filter value, or null if
+ * PokeAPI does not know the value
+ */
+const getFilterIndex = async (filter, value) => {
+  const { resource, ids } = FILTERS[filter];
+  try {
+    const list = await getCachedOrFetch(`${filter}-${value}`, async () => {
+      const response = await axios.get(`${POKEAPI_BASE}/${resource}/${value}`);
+      return ids(response.data);
+    });
+    return new Set(list);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  POKEAPI_BASE,
+  FORM_ID_OFFSET,
+  FILTERS,
+  cache,
+  getCachedOrFetch,
+  idFromUrl,
+  getAllPokemon,
+  getPokemonSummary,
+  getPokemon,
+  resolvePokemon,
+  nationalNumber,
+  getSpecies,
+  getFilterIndex
+};
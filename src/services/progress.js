@@ -0,0 +1,106 @@
+const axios = require('axios');
+const { createCollection } = require('./fileStore');
+const { POKEAPI_BASE, FORM_ID_OFFSET, getCachedOrFetch, getAllPokemon, getFilterIndex } = require('./pokeapi');
+const { TYPES } = require('./typeChart');
+
+// Statuses a Pokémon can be marked with; unmarked Pokémon are `missing`
+const STATUSES = ['seen', 'caught'];
+
+// One record per user: { userId, pokemon: { [id]: { status, updatedAt } } }, keyed by user id
+const progress = createCollection('pokedex-progress');
+
+/**
+ * A user's recorded statuses as a Map of Pokémon id to { status, updatedAt }
+ */
+const getProgress = (userId) => new Map(
+  Object.entries(progress.get(userId)?.pokemon || {}).map(([id, entry]) => [Number(id), entry])
+);
+
+const statusOf = (entries, id) => entries.get(id)?.status || 'missing';
+
+/**
+ * Marks Pokémon ids as `seen` or `caught`, or clears them with `missing`.
+ * Returns the updated progress.
+ */
+const setStatus = (userId, pokemonIds, status) => {
+  const entries = getProgress(userId);
+  const updatedAt = new Date().toISOString();
+  pokemonIds.forEach(id => {
+    if (status === 'missing') {
+      entries.delete(id);
+    } else {
+      entries.set(id, { status, updatedAt });
+    }
+  });
+  progress.set(userId, { userId, pokemon: Object.fromEntries(entries) });
+  return entries;
+};
+
+const getGenerations = () => getCachedOrFetch('all-generations', async () => {
+  const response = await axios.get(`${POKEAPI_BASE}/generation`);
+  return response.data.results.map(g => g.name);
+});
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Seen and caught counts over a set of Pokémon ids. `seen` includes
+ * caught Pokémon, as in the games' Pokédex.
+ */
+const countProgress = (entries, ids) => {
+  let seen = 0;
+  let caught = 0;
+  ids.forEach(id => {
+    const status = statusOf(entries, id);
+    if (status !== 'missing') seen++;
+    if (status === 'caught') caught++;
+  });
+  return {
+    total: ids.size,
+    seen,
+    caught,
+    missing: ids.size - seen,
+    seenPercent: percent(seen, ids.size),
+    caughtPercent: percent(caught, ids.size)
+  };
+};
+
+/**
+ * Completion of a user's Pokédex overall, per generation and per type,
+ * counting each species once by its default form
+ */
+const getProgressSummary = async (userId) => {
+  const entries = getProgress(userId);
+  const allPokemon = await getAllPokemon();
+  const species = new Set(allPokemon.map(p => p.id).filter(id => id <= FORM_ID_OFFSET));
+  const inSpecies = (index) => new Set([...(index || [])].filter(id => species.has(id)));
+
+  const generations = await getGenerations();
+  const generationIndexes = await Promise.all(generations.map(g => getFilterIndex('generation', g)));
+  const typeIndexes = await Promise.all(TYPES.map(t => getFilterIndex('type', t)));
+
+  return {
+    overall: countProgress(entries, species),
+    generations: generations.map((generation, i) => ({
+      generation,
+      ...countProgress(entries, inSpecies(generationIndexes[i]))
+    })),
+    types: TYPES.map((type, i) => ({
+      type,
+      ...countProgress(entries, inSpecies(typeIndexes[i]))
+    }))
+  };
+};
+
+module.exports = {
+  STATUSES,
+  getProgress,
+  statusOf,
+  setStatus,
+  getProgressSummary
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__progress = progress;
+}
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // seconds
+
+// Keyed by the SHA-256 of the token, the token itself is never stored
+const refreshTokens = createCollection('refresh-tokens');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const pruneExpired = () => {
+  const now = Date.now();
+  refreshTokens
+    .filter(t => new Date(t.expiresAt).getTime() <= now)
+    .forEach(t => refreshTokens.delete(t.id));
+};
+
+/**
+ * Issues a new refresh token. Tokens from one login share a family,
+ * so reuse of a rotated token can revoke every descendant.
+ */
+const issueRefreshToken = (userId, { familyId = crypto.randomUUID(), loginTime = new Date().toISOString() } = {}) => {
+  pruneExpired();
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  refreshTokens.set(hashToken(token), {
+    id: hashToken(token),
+    familyId,
+    userId,
+    loginTime,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL * 1000).toISOString(),
+    usedAt: null,
+    revokedAt: null
+  });
+  return token;
+};
+
+const revokeFamily = (familyId) => {
+  const revokedAt = new Date().toISOString();
+  refreshTokens
+    .filter(t => t.familyId === familyId && !t.revokedAt)
+    .forEach(t => refreshTokens.set(t.id, { ...t, revokedAt }));
+};
+
+/**
+ * Revokes the family of the given refresh token, if it exists
+ */
+const revokeRefreshToken = (token) => {
+  const record = refreshTokens.get(hashToken(token));
+  if (record) {
+    revokeFamily(record.familyId);
+  }
+};
+
+/**
+ * Revokes every refresh token of a user created before the given time
+ */
+const revokeUserRefreshTokens = (userId, before = new Date()) => {
+  const revokedAt = new Date().toISOString();
+  refreshTokens
+    .filter(t => t.userId === userId && !t.revokedAt && new Date(t.createdAt) < before)
+    .forEach(t => refreshTokens.set(t.id, { ...t, revokedAt }));
+};
+
+/**
+ * Consumes a refresh token and returns a replacement in the same family.
+ * Returns null if the token is unknown, expired or revoked.
+ * Presenting an already used token revokes its whole family and returns
+ * { reused: true, familyId } so the caller can end the session as well.
+ */
+const rotateRefreshToken = (token) => {
+  const record = refreshTokens.get(hashToken(token));
+  if (!record || record.revokedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+
+  if (record.usedAt) {
+    revokeFamily(record.familyId);
+    return { reused: true, familyId: record.familyId };
+  }
+
+  refreshTokens.set(record.id, { ...record, usedAt: new Date().toISOString() });
+  const refreshToken = issueRefreshToken(record.userId, {
+    familyId: record.familyId,
+    loginTime: record.loginTime
+  });
+  return { refreshToken, userId: record.userId, familyId: record.familyId, loginTime: record.loginTime };
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  revokeUserRefreshTokens
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__refreshTokens = refreshTokens;
+}
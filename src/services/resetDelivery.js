@@ -0,0 +1,56 @@
+const path = require('path');
+
+// Password reset messages delivered by the default hook, newest last
+const outbox = [];
+
+const OUTBOX_LIMIT = 100;
+
+/**
+ * Default delivery: keeps the message in a local outbox.
+ * Tokens are only written to the log in development so they never end up in production logs.
+ */
+const outboxDelivery = async ({ user, token, expiresAt }) => {
+  outbox.push({ userId: user.id, username: user.username, email: user.email || null, token, expiresAt });
+  if (outbox.length > OUTBOX_LIMIT) {
+    outbox.shift();
+  }
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`🔑 Password reset token for ${user.username}: ${token} (expires ${expiresAt})`);
+  }
+};
+
+let deliver = outboxDelivery;
+
+/**
+ * Replaces the delivery hook. It is called with { user, token, expiresAt }
+ * and may return a promise.
+ */
+const setResetDelivery = (hook) => {
+  deliver = hook || outboxDelivery;
+};
+
+/**
+ * Installs the hook exported by the module named in RESET_DELIVERY_MODULE
+ * (resolved from the working directory). Called once at startup; production
+ * refuses to start without a hook because the outbox would swallow every token.
+ */
+const loadResetDelivery = (env = process.env) => {
+  const modulePath = env.RESET_DELIVERY_MODULE;
+  if (!modulePath) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('RESET_DELIVERY_MODULE must be set in production');
+    }
+    return;
+  }
+
+  const hook = require(path.resolve(modulePath));
+  if (typeof hook !== 'function') {
+    throw new Error(`${modulePath} must export a password reset delivery function`);
+  }
+  setResetDelivery(hook);
+};
+
+// Always returns a promise, even if the hook throws synchronously
+const deliverResetToken = async (message) => deliver(message);
+
+module.exports = { outbox, setResetDelivery, loadResetDelivery, deliverResetToken };
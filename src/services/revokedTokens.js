@@ -0,0 +1,42 @@
+const { createCollection } = require('./fileStore');
+
+// Keyed by jti; entries are dropped once the token would have expired anyway
+const revokedTokens = createCollection('revoked-tokens');
+
+const pruneExpired = () => {
+  const now = Date.now();
+  revokedTokens
+    .filter(t => new Date(t.expiresAt).getTime() <= now)
+    .forEach(t => revokedTokens.delete(t.id));
+};
+
+/**
+ * Adds a token id to the revocation list until its expiry (seconds since epoch)
+ */
+const revokeToken = (jti, exp) => {
+  pruneExpired();
+  revokedTokens.set(jti, {
+    id: jti,
+    revokedAt: new Date().toISOString(),
+    expiresAt: new Date(exp * 1000).toISOString()
+  });
+};
+
+const isTokenRevoked = (jti) => {
+  const entry = revokedTokens.get(jti);
+  if (!entry) {
+    return false;
+  }
+  if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+    revokedTokens.delete(jti);
+    return false;
+  }
+  return true;
+};
+
+module.exports = { revokeToken, isTokenRevoked };
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__revokedTokens = revokedTokens;
+}
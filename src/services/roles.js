@@ -0,0 +1,30 @@
+const ROLES = ['admin', 'user'];
+const DEFAULT_ROLE = 'user';
+
+const ROLE_PERMISSIONS = {
+  admin: ['pokemon:read', 'collection:manage', 'account:manage', 'api-keys:manage', 'users:read', 'users:manage', 'cache:manage', 'keys:manage'],
+  user: ['pokemon:read', 'collection:manage', 'account:manage', 'api-keys:manage']
+};
+
+// Permissions that can never be delegated to an API key
+const NON_DELEGABLE_PERMISSIONS = ['account:manage', 'api-keys:manage', 'users:manage', 'keys:manage'];
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Scopes a user with this role may grant to an API key
+ */
+const delegableScopes = (role) =>
+  (ROLE_PERMISSIONS[role] || []).filter(p => !NON_DELEGABLE_PERMISSIONS.includes(p));
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  delegableScopes
+};
@@ -0,0 +1,90 @@
+// Match tiers, best first
+const EXACT = 0;
+const PREFIX = 1;
+const SUBSTRING = 2;
+const FUZZY = 3;
+
+/**
+ * Lowercases and drops everything but letters and digits, so
+ * "Mr. Mime", "mr mime" and "mr-mime" all become "mrmime"
+ */
+const normalize = (value) => value.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+
+/**
+ * Typos allowed for a term of this length
+ */
+const maxTypos = (length) => {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * swaps of adjacent letters (optimal string alignment)
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * How well a name matches a normalized term: { tier, distance },
+ * or null if it does not match. A fuzzy match is within the allowed
+ * typos of the whole name or of its beginning.
+ */
+const matchName = (name, term) => {
+  const normalized = normalize(name);
+  if (!term) return null;
+  if (normalized === term) return { tier: EXACT, distance: 0 };
+  if (normalized.startsWith(term)) return { tier: PREFIX, distance: 0 };
+  if (normalized.includes(term)) return { tier: SUBSTRING, distance: 0 };
+
+  const allowed = maxTypos(term.length);
+  if (allowed === 0) return null;
+
+  // Beginnings of the name within `allowed` letters of the term's length
+  const prefixes = [];
+  for (let length = term.length - allowed; length <= term.length + allowed; length++) {
+    if (length > 0 && length < normalized.length) prefixes.push(normalized.slice(0, length));
+  }
+  const distance = Math.min(...[normalized, ...prefixes].map(candidate => editDistance(term, candidate)));
+  return distance <= allowed ? { tier: FUZZY, distance } : null;
+};
+
+const compareMatches = (a, b) => a.tier - b.tier || a.distance - b.distance;
+
+/**
+ * Filters `items` to those whose name matches any of the comma-separated
+ * terms, attaching the best match as `match`
+ */
+const searchByName = (items, search) => {
+  const terms = search.split(',').map(normalize).filter(t => t.length > 0);
+
+  return items.reduce((results, item) => {
+    const matches = terms.map(term => matchName(item.name, term)).filter(Boolean);
+    if (matches.length > 0) {
+      results.push({ ...item, match: matches.sort(compareMatches)[0] });
+    }
+    return results;
+  }, []);
+};
+
+module.exports = {
+  normalize,
+  editDistance,
+  matchName,
+  compareMatches,
+  searchByName
+};
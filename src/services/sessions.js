@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+const { REFRESH_TOKEN_TTL } = require('./refreshTokens');
+
+// lastUsedAt is written at most this often per session
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// One session per login; its id is also the refresh token family id
+const sessions = createCollection('sessions');
+
+/**
+ * Client details of a request, shown in the session list
+ */
+const clientFromRequest = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
+const isActive = (session) =>
+  Boolean(session) && !session.endedAt && new Date(session.expiresAt).getTime() > Date.now();
+
+const pruneInactive = () => {
+  sessions.filter(s => !isActive(s)).forEach(s => sessions.delete(s.id));
+};
+
+const createSession = (userId, { userAgent = null, ip = null } = {}) => {
+  pruneInactive();
+
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  return sessions.set(id, {
+    id,
+    userId,
+    userAgent,
+    ip,
+    createdAt: new Date(now).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL * 1000).toISOString(),
+    endedAt: null
+  });
+};
+
+const isSessionActive = (id) => isActive(sessions.get(id));
+
+/**
+ * Records activity on a session. With `extend`, the session lives for
+ * another refresh token lifetime (used when its refresh token rotates).
+ */
+const touchSession = (id, { ip, extend = false } = {}) => {
+  const session = sessions.get(id);
+  if (!isActive(session)) {
+    return;
+  }
+
+  const now = Date.now();
+  if (!extend && now - new Date(session.lastUsedAt).getTime() < LAST_USED_RESOLUTION) {
+    return;
+  }
+
+  sessions.set(id, {
+    ...session,
+    ip: ip || session.ip,
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: extend ? new Date(now + REFRESH_TOKEN_TTL * 1000).toISOString() : session.expiresAt
+  });
+};
+
+const listSessions = (userId) =>
+  sessions.filter(s => s.userId === userId && isActive(s));
+
+/**
+ * Ends a session. With `userId`, only if it belongs to that user.
+ * Returns false if there was no such active session.
+ */
+const endSession = (id, userId) => {
+  const session = sessions.get(id);
+  if (!isActive(session) || (userId && session.userId !== userId)) {
+    return false;
+  }
+  sessions.set(id, { ...session, endedAt: new Date().toISOString() });
+  return true;
+};
+
+/**
+ * Ends every session of a user that started before the given time
+ */
+const endSessionsStartedBefore = (userId, before = new Date()) => {
+  sessions
+    .filter(s => s.userId === userId && isActive(s) && new Date(s.createdAt) < before)
+    .forEach(s => endSession(s.id));
+};
+
+const toPublicSession = (session) => ({
+  id: session.id,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  userAgent: session.userAgent,
+  ip: session.ip
+});
+
+module.exports = {
+  clientFromRequest,
+  createSession,
+  isSessionActive,
+  touchSession,
+  listSessions,
+  endSession,
+  endSessionsStartedBefore,
+  toPublicSession
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__sessions = sessions;
+}
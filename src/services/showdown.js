@@ -0,0 +1,194 @@
+const { MAX_MEMBERS, MAX_MOVES, MAX_IV, validateMember } = require('./teams');
+const { ValidationError } = require('../errors');
+
+// Stat names in Showdown's EV and IV lines
+const SHOWDOWN_STATS = {
+  HP: 'hp',
+  Atk: 'attack',
+  Def: 'defense',
+  SpA: 'specialAttack',
+  SpD: 'specialDefense',
+  Spe: 'speed'
+};
+
+// Lines Showdown writes that teams have no field for; they are skipped
+const IGNORED_LINE_PATTERN = /^(Level|Shiny|Happiness|Tera Type|Gigantamax|Dynamax Level|Pokeball|Hidden Power):/i;
+
+const TEAM_HEADER_PATTERN = /^===\s*(?:\[[^\]]*\]\s*)?(.*?)\s*===$/;
+
+/**
+ * Parses "252 SpA / 4 SpD / 252 Spe" into { specialAttack: 252, ... }.
+ * Returns null if a part is malformed or a stat is repeated.
+ */
+const parseSpread = (value) => {
+  const spread = {};
+  for (const part of value.split('/')) {
+    const match = part.trim().match(/^(\d+)\s+([a-z]+)$/i);
+    const stat = match && Object.entries(SHOWDOWN_STATS).find(([name]) => name.toLowerCase() === match[2].toLowerCase())?.[1];
+    if (!stat || spread[stat] !== undefined) return null;
+    spread[stat] = parseInt(match[1], 10);
+  }
+  return spread;
+};
+
+/**
+ * Parses "Nickname (Species) (M) @ Item" into a new set
+ */
+const parseSpeciesLine = (line, lineNumber) => {
+  const [left, item] = line.split(/\s+@\s+/);
+  const withoutGender = left.replace(/\s*\((M|F)\)$/, '');
+  const named = withoutGender.match(/^(.+?)\s*\(([^()]+)\)$/);
+
+  return {
+    input: {
+      pokemon: (named ? named[2] : withoutGender).trim(),
+      nickname: named ? named[1].trim() : undefined,
+      item: item?.trim(),
+      moves: []
+    },
+    lines: { pokemon: lineNumber, nickname: lineNumber, item: lineNumber, moves: [] }
+  };
+};
+
+/**
+ * Splits a Showdown paste into sets of team member input, each with the
+ * line number of every field. Returns { name, sets, errors }.
+ */
+const parsePaste = (text) => {
+  const sets = [];
+  const errors = [];
+  let name = null;
+  let current = null;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNumber = i + 1;
+    const fail = (message) => errors.push({ line: lineNumber, message });
+
+    if (!line) {
+      current = null;
+      return;
+    }
+
+    const header = line.match(TEAM_HEADER_PATTERN);
+    if (header) {
+      if (name !== null || sets.length > 0) fail('Only one team per paste is supported');
+      else name = header[1];
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = parseSpeciesLine(line, lineNumber);
+      sets.push(current);
+      return;
+    }
+
+    const { input, lines } = current;
+    let match;
+    if (/^[-~]/.test(line)) {
+      // "Hidden Power [Fire]" is stored as hidden-power
+      input.moves.push(line.replace(/^[-~]\s*/, '').replace(/\s*\[[^\]]*\]$/, ''));
+      lines.moves.push(lineNumber);
+    } else if ((match = line.match(/^Ability:\s*(.+)$/i))) {
+      input.ability = match[1];
+      lines.ability = lineNumber;
+    } else if ((match = line.match(/^(EVs|IVs):\s*(.+)$/i))) {
+      const field = match[1].toLowerCase();
+      const spread = parseSpread(match[2]);
+      if (spread) {
+        input[field] = spread;
+        lines[field] = lineNumber;
+      } else {
+        fail(`Invalid ${match[1]}: ${match[2]}`);
+      }
+    } else if ((match = line.match(/^([a-z]+)\s+Nature$/i))) {
+      input.nature = match[1];
+      lines.nature = lineNumber;
+    } else if (!IGNORED_LINE_PATTERN.test(line)) {
+      fail(`Unrecognized line: ${line}`);
+    }
+  });
+
+  return { name, sets, errors };
+};
+
+/**
+ * Line a validation error of a set's field (e.g. "members[0].moves[2]") belongs to
+ */
+const lineOf = ({ lines }, field) => {
+  const move = field.match(/\.moves\[(\d+)\]$/);
+  if (move) return lines.moves[Number(move[1])];
+
+  const key = field.slice(field.lastIndexOf('.') + 1);
+  if (key === 'moves') return lines.moves[MAX_MOVES] ?? lines.pokemon;
+  return lines[key] ?? lines.pokemon;
+};
+
+/**
+ * Parses a Showdown paste into team members checked against PokeAPI.
+ * Returns { name, members }; `name` comes from a "=== [format] Name ===" header, if any.
+ * Throws a ValidationError with { line, message } for every problem found.
+ */
+const importPaste = async (text) => {
+  const { name, sets, errors } = parsePaste(text);
+
+  if (sets.length === 0 && errors.length === 0) {
+    errors.push({ line: 1, message: 'The paste has no Pokémon' });
+  }
+  sets.slice(MAX_MEMBERS).forEach(set => {
+    errors.push({ line: set.lines.pokemon, message: `A team has at most ${MAX_MEMBERS} Pokémon` });
+  });
+
+  const results = await Promise.all(sets.slice(0, MAX_MEMBERS)
+    .map((set, i) => validateMember(set.input, `members[${i}]`)));
+  results.forEach((result, i) => {
+    result.errors.forEach(({ field, message }) => errors.push({ line: lineOf(sets[i], field), message }));
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid Showdown paste', errors.sort((a, b) => a.line - b.line));
+  }
+  return { name, members: results.map(r => r.member) };
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * PokeAPI slug to a display name: "quick-attack" -> "Quick Attack".
+ * Species keep their hyphens, as in Showdown's "Charizard-Mega-X".
+ */
+const toDisplayName = (slug, separator = ' ') => slug.split('-').map(capitalize).join(separator);
+
+const formatSpread = (spread, omitted) => Object.entries(SHOWDOWN_STATS)
+  .filter(([, stat]) => spread[stat] !== omitted)
+  .map(([name, stat]) => `${spread[stat]} ${name}`)
+  .join(' / ');
+
+/**
+ * Prints a team in Showdown's paste format. EVs of 0 and IVs of 31 are
+ * left out, as Showdown does.
+ */
+const formatTeam = (team) => team.members.map(member => {
+  const species = toDisplayName(member.pokemon.name, '-');
+  const lines = [
+    (member.nickname ? `${member.nickname} (${species})` : species) +
+      (member.item ? ` @ ${toDisplayName(member.item)}` : '')
+  ];
+
+  if (member.ability) lines.push(`Ability: ${toDisplayName(member.ability)}`);
+  const evs = member.evs && formatSpread(member.evs, 0);
+  if (evs) lines.push(`EVs: ${evs}`);
+  if (member.nature) lines.push(`${capitalize(member.nature)} Nature`);
+  const ivs = member.ivs && formatSpread(member.ivs, MAX_IV);
+  if (ivs) lines.push(`IVs: ${ivs}`);
+  member.moves.forEach(move => lines.push(`- ${toDisplayName(move)}`));
+
+  return lines.join('\n');
+}).join('\n\n') + '\n';
+
+module.exports = {
+  parsePaste,
+  importPaste,
+  formatTeam
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+
+const ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+const ROTATION_INTERVAL = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30; // days
+
+const KEY_TYPES = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+if (!KEY_TYPES[ALGORITHM]) {
+  throw new Error(`Unsupported JWT_ALGORITHM: ${ALGORITHM} (use ${Object.keys(KEY_TYPES).join(' or ')})`);
+}
+
+// Seconds other services may cache the JWKS. A new key is published at
+// least this long before it signs anything, so cached sets already know it.
+const JWKS_MAX_AGE = 300;
+
+// Key pairs as PEM. A key signs from activatesAt (null for the next key,
+// which is only published) until retiredAt; retired keys keep verifying
+// until verifyUntil, when their last tokens have expired.
+const signingKeys = createCollection('signing-keys');
+
+const timeOf = (iso) => new Date(iso).getTime();
+
+const generateKey = ({ activatesAt = null } = {}) => {
+  const [type, options] = KEY_TYPES[ALGORITHM];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const id = crypto.randomUUID();
+  return signingKeys.set(id, {
+    id,
+    alg: ALGORITHM,
+    publicKey,
+    privateKey,
+    createdAt: new Date().toISOString(),
+    activatesAt,
+    retiredAt: null,
+    verifyUntil: null
+  });
+};
+
+// Keys stored before activatesAt existed were active from their creation
+const activationTime = (key) => {
+  if (key.activatesAt === undefined) return timeOf(key.createdAt);
+  return key.activatesAt ? timeOf(key.activatesAt) : null;
+};
+
+const isUsable = (key) => !key.verifyUntil || timeOf(key.verifyUntil) > Date.now();
+
+const pruneRetired = () => {
+  signingKeys.filter(k => !isUsable(k)).forEach(k => signingKeys.delete(k.id));
+};
+
+// The key that signs right now: the most recently activated one that is not retired yet
+const currentKey = () => {
+  const now = Date.now();
+  return signingKeys
+    .filter(k => k.alg === ALGORITHM && activationTime(k) !== null && activationTime(k) <= now &&
+      (!k.retiredAt || timeOf(k.retiredAt) > now))
+    .sort((a, b) => activationTime(b) - activationTime(a))[0] || null;
+};
+
+const nextKey = () => signingKeys.find(k => k.alg === ALGORITHM && !k.retiredAt && activationTime(k) === null);
+
+// Retires every key that is not retired yet (except `keep`) at the given time
+const retireAt = (time, tokenLifetime, keep) => {
+  signingKeys.filter(k => !k.retiredAt && k.id !== keep?.id).forEach(k => signingKeys.set(k.id, {
+    ...k,
+    retiredAt: new Date(time).toISOString(),
+    verifyUntil: new Date(time + tokenLifetime * 1000).toISOString()
+  }));
+};
+
+/**
+ * Schedules the next key to take over once it has been in the JWKS for
+ * JWKS_MAX_AGE, and publishes a new next key. Until then the current key
+ * keeps signing; afterwards it keeps verifying for `tokenLifetime` seconds.
+ * Returns the scheduled key.
+ */
+const rotateSigningKey = (tokenLifetime) => {
+  pruneRetired();
+
+  const next = nextKey() || generateKey();
+  const activatesAt = Math.max(Date.now(), timeOf(next.createdAt) + JWKS_MAX_AGE * 1000);
+  retireAt(activatesAt, tokenLifetime, next);
+  const scheduled = signingKeys.set(next.id, { ...next, activatesAt: new Date(activatesAt).toISOString() });
+  generateKey();
+  return scheduled;
+};
+
+/**
+ * Returns the key new tokens are signed with. Creates the first key (and
+ * the next one) when there is none, and schedules a rotation when the
+ * current key is due. Call at startup so the JWKS is filled before the
+ * first token is issued.
+ */
+const getActiveSigningKey = (tokenLifetime) => {
+  let active = currentKey();
+  if (!active) {
+    // Nothing signs yet (first start or a new JWT_ALGORITHM), so there is no cache to wait for
+    const now = Date.now();
+    retireAt(now, tokenLifetime);
+    active = generateKey({ activatesAt: new Date(now).toISOString() });
+  } else {
+    const age = Date.now() - activationTime(active);
+    const scheduled = signingKeys.find(k => activationTime(k) > Date.now());
+    if (age > ROTATION_INTERVAL * 24 * 60 * 60 * 1000 && !scheduled) {
+      rotateSigningKey(tokenLifetime);
+    }
+  }
+
+  if (!nextKey()) {
+    generateKey();
+  }
+  return active;
+};
+
+/**
+ * Returns the key for a token's `kid`, or null if it is unknown or no longer trusted
+ */
+const getVerificationKey = (kid) => {
+  const key = kid && signingKeys.get(kid);
+  return key && isUsable(key) ? key : null;
+};
+
+/**
+ * Public keys of every key that can still verify tokens, as a JWK Set
+ */
+const getJwks = () => ({
+  keys: signingKeys.filter(isUsable).map(k => ({
+    ...crypto.createPublicKey(k.publicKey).export({ format: 'jwk' }),
+    kid: k.id,
+    alg: k.alg,
+    use: 'sig'
+  }))
+});
+
+module.exports = {
+  ALGORITHM,
+  JWKS_MAX_AGE,
+  rotateSigningKey,
+  getActiveSigningKey,
+  getVerificationKey,
+  getJwks
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__signingKeys = signingKeys;
+}
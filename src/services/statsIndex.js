@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { createCollection } = require('./fileStore');
+const { POKEAPI_BASE } = require('./pokeapi');
+
+// Base stats rarely change; entries older than this are refetched
+const STATS_INDEX_TTL = (parseInt(process.env.STATS_INDEX_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+// Pokémon whose fetch failed are retried after this long
+const RETRY_AFTER = 5 * 60 * 1000;
+const CONCURRENCY = 10;
+// Fetched entries are written to disk in batches of this size instead of one rewrite per Pokémon
+const WRITE_BATCH_SIZE = 100;
+
+// Query names of the stats, mapped to PokeAPI's names
+const STATS = {
+  hp: 'hp',
+  attack: 'attack',
+  defense: 'defense',
+  specialAttack: 'special-attack',
+  specialDefense: 'special-defense',
+  speed: 'speed'
+};
+
+// Base stats per Pokémon, keyed by name: { name, stats: { hp, ..., total }, updatedAt }
+const statsIndex = createCollection('pokemon-stats');
+
+// Names whose last fetch failed, with the time it failed
+const failures = new Map();
+
+let pendingBuild = null;
+
+const isFresh = (entry) => entry && Date.now() - new Date(entry.updatedAt).getTime() < STATS_INDEX_TTL;
+
+const fetchStats = async (name) => {
+  const response = await axios.get(`${POKEAPI_BASE}/pokemon/${name}`);
+  const stats = {};
+  Object.entries(STATS).forEach(([key, apiName]) => {
+    stats[key] = response.data.stats.find(s => s.stat.name === apiName)?.base_stat ?? 0;
+  });
+  stats.total = Object.values(stats).reduce((sum, value) => sum + value, 0);
+  return stats;
+};
+
+const build = async (names) => {
+  const queue = [...names];
+  let fetched = [];
+  const flush = () => {
+    statsIndex.setMany(fetched);
+    fetched = [];
+  };
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const name = queue.shift();
+      try {
+        fetched.push([name, { name, stats: await fetchStats(name), updatedAt: new Date().toISOString() }]);
+        failures.delete(name);
+        if (fetched.length >= WRITE_BATCH_SIZE) flush();
+      } catch (error) {
+        failures.set(name, Date.now());
+      }
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+  } finally {
+    flush();
+  }
+};
+
+/**
+ * Makes sure every Pokémon in `allPokemon` has fresh stats in the index,
+ * fetching only the missing and stale ones. Concurrent calls share one build.
+ * Returns the index entries by name.
+ */
+const ensureStatsIndex = async (allPokemon) => {
+  while (pendingBuild) {
+    await pendingBuild;
+  }
+
+  const now = Date.now();
+  const outdated = allPokemon
+    .map(p => p.name)
+    .filter(name => !isFresh(statsIndex.get(name)) && !(now - (failures.get(name) || 0) < RETRY_AFTER));
+
+  if (outdated.length > 0) {
+    pendingBuild = build(outdated).finally(() => {
+      pendingBuild = null;
+    });
+    await pendingBuild;
+  }
+
+  return new Map(statsIndex.all().map(entry => [entry.name, entry]));
+};
+
+module.exports = {
+  STATS,
+  ensureStatsIndex
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__statsIndex = statsIndex;
+  module.exports.__failures = failures;
+}
@@ -0,0 +1,104 @@
+const { createCollection } = require('./fileStore');
+
+const MAX_TAG_LENGTH = 32;
+
+// One record per user: { userId, tags: [{ tag, pokemon: [pokemonIds] }] }, keyed by user id.
+// Tags are user text, so they are never used as object keys.
+const tags = createCollection('pokemon-tags');
+
+/**
+ * Normalizes a user's tag ("  Shiny   Hunt" -> "shiny hunt"). Returns null
+ * for tags that are empty, too long or contain commas, which separate
+ * tags in the list filter.
+ */
+const normalizeTag = (value) => {
+  if (typeof value !== 'string') return null;
+  const tag = value.trim().replace(/\s+/g, ' ').toLowerCase();
+  return tag && tag.length <= MAX_TAG_LENGTH && !tag.includes(',') ? tag : null;
+};
+
+// A user's tags as a Map of tag to Pokémon ids
+const getTags = (userId) => new Map((tags.get(userId)?.tags || []).map(({ tag, pokemon }) => [tag, pokemon]));
+
+const save = (userId, byTag) => tags.set(userId, {
+  userId,
+  tags: [...byTag].map(([tag, pokemon]) => ({ tag, pokemon }))
+});
+
+/**
+ * A user's tags, alphabetically, each with the Pokémon ids it is on
+ */
+const listTags = (userId) => [...getTags(userId)]
+  .map(([tag, pokemon]) => ({ tag, pokemon }))
+  .sort((a, b) => a.tag.localeCompare(b.tag));
+
+/**
+ * Tags a user has put on one Pokémon id
+ */
+const getTagsFor = (userId, pokemonId) => listTags(userId)
+  .filter(({ pokemon }) => pokemon.includes(pokemonId))
+  .map(({ tag }) => tag);
+
+/**
+ * Ids of the Pokémon carrying any of `tagList`
+ */
+const getTaggedIds = (userId, tagList) => {
+  const byTag = getTags(userId);
+  return new Set(tagList.flatMap(tag => byTag.get(tag) || []));
+};
+
+const addTag = (userId, tag, pokemonId) => {
+  const byTag = getTags(userId);
+  const pokemon = byTag.get(tag) || [];
+  if (!pokemon.includes(pokemonId)) {
+    save(userId, byTag.set(tag, [...pokemon, pokemonId]));
+  }
+};
+
+/**
+ * Takes a tag off a Pokémon id; a tag left on no Pokémon is dropped.
+ * Returns false if the Pokémon did not carry the tag.
+ */
+const removeTag = (userId, tag, pokemonId) => {
+  const byTag = getTags(userId);
+  const pokemon = byTag.get(tag) || [];
+  if (!pokemon.includes(pokemonId)) {
+    return false;
+  }
+  const remaining = pokemon.filter(id => id !== pokemonId);
+  if (remaining.length > 0) {
+    byTag.set(tag, remaining);
+  } else {
+    byTag.delete(tag);
+  }
+  save(userId, byTag);
+  return true;
+};
+
+/**
+ * Removes a tag from every Pokémon. Returns false if the user has no such tag.
+ */
+const deleteTag = (userId, tag) => {
+  const byTag = getTags(userId);
+  if (!byTag.delete(tag)) {
+    return false;
+  }
+  save(userId, byTag);
+  return true;
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  listTags,
+  getTagsFor,
+  getTaggedIds,
+  addTag,
+  removeTag,
+  deleteTag
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__tags = tags;
+}
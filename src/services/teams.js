@@ -0,0 +1,278 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+const { POKEAPI_BASE, getCachedOrFetch, getPokemon, resolvePokemon } = require('./pokeapi');
+const { getMoveDetails } = require('./moves');
+const { TYPES, getMatchups, getCoverage } = require('./typeChart');
+const { STATS } = require('./statsIndex');
+const { ValidationError } = require('../errors');
+
+const MAX_MEMBERS = 6;
+const MAX_MOVES = 4;
+const MAX_NAME_LENGTH = 64;
+const MAX_NICKNAME_LENGTH = 18;
+const MAX_EV = 252;
+const MAX_EV_TOTAL = 510;
+const MAX_IV = 31;
+
+const NATURES = [
+  'hardy', 'lonely', 'brave', 'adamant', 'naughty', 'bold', 'docile', 'relaxed', 'impish',
+  'lax', 'timid', 'hasty', 'serious', 'jolly', 'naive', 'modest', 'mild', 'quiet', 'bashful',
+  'rash', 'calm', 'gentle', 'sassy', 'careful', 'quirky'
+];
+
+const teams = createCollection('teams');
+
+/**
+ * Turns a display name into a PokeAPI slug: "King's Rock" -> "kings-rock",
+ * "Mr. Mime" -> "mr-mime", "Flabébé" -> "flabebe"
+ */
+const toSlug = (value) => String(value)
+  .trim()
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f'’.:%]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const isOptionalString = (value, maxLength = Infinity) =>
+  value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+
+/**
+ * Fills a partial EV or IV spread ({ hp, attack, ..., speed }) with
+ * `fallback`. Returns null if it has an unknown stat or a value outside 0..max.
+ */
+const toSpread = (input, max, fallback) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input) ||
+      !Object.keys(input).every(stat => Object.hasOwn(STATS, stat))) {
+    return null;
+  }
+  const spread = {};
+  for (const stat of Object.keys(STATS)) {
+    const value = input[stat] ?? fallback;
+    if (!Number.isInteger(value) || value < 0 || value > max) return null;
+    spread[stat] = value;
+  }
+  return spread;
+};
+
+/**
+ * Whether PokeAPI knows a held item
+ */
+const itemExists = async (name) => {
+  try {
+    await getCachedOrFetch(`item-${name}`, async () => {
+      const response = await axios.get(`${POKEAPI_BASE}/item/${name}`);
+      return { name: response.data.name };
+    });
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks a team member against the Pokémon's abilities and learnset.
+ * Returns { member, errors }, errors being { field, message } under `field`.
+ */
+const validateMember = async (input, field) => {
+  const errors = [];
+  const fail = (path, message) => errors.push({ field: `${field}${path}`, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    fail('', 'Member must be an object');
+    return { member: null, errors };
+  }
+
+  const { pokemon: ref, nickname, ability, moves = [], item, nature } = input;
+  const evs = input.evs == null ? null : toSpread(input.evs, MAX_EV, 0);
+  const ivs = input.ivs == null ? null : toSpread(input.ivs, MAX_IV, MAX_IV);
+
+  if (!['string', 'number'].includes(typeof ref) || !toSlug(ref)) {
+    fail('.pokemon', 'Pokemon ID or name is required');
+  }
+  if (!isOptionalString(nickname, MAX_NICKNAME_LENGTH)) {
+    fail('.nickname', `Nickname must be a string of at most ${MAX_NICKNAME_LENGTH} characters`);
+  }
+  if (!isOptionalString(ability)) {
+    fail('.ability', 'Ability must be a string');
+  }
+  if (!isOptionalString(item)) {
+    fail('.item', 'Item must be a string');
+  }
+  if (!Array.isArray(moves) || moves.length > MAX_MOVES || !moves.every(m => typeof m === 'string')) {
+    fail('.moves', `Moves must be an array of at most ${MAX_MOVES} move names`);
+  }
+  if (errors.length > 0) {
+    return { member: null, errors };
+  }
+
+  // These don't depend on PokeAPI data, so the checks below still run
+  if (!isOptionalString(nature) || (nature && !NATURES.includes(toSlug(nature)))) {
+    fail('.nature', `Unknown nature: ${nature}`);
+  }
+  if (input.evs != null && (!evs || Object.values(evs).reduce((sum, value) => sum + value, 0) > MAX_EV_TOTAL)) {
+    fail('.evs', `EVs must be 0 to ${MAX_EV} per stat and at most ${MAX_EV_TOTAL} in total`);
+  }
+  if (input.ivs != null && !ivs) {
+    fail('.ivs', `IVs must be 0 to ${MAX_IV} per stat`);
+  }
+
+  let pokemon;
+  try {
+    pokemon = await resolvePokemon(toSlug(ref));
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+    fail('.pokemon', `Unknown Pokemon: ${ref}`);
+    return { member: null, errors };
+  }
+
+  const member = {
+    pokemon: { id: pokemon.id, name: pokemon.name },
+    nickname: nickname?.trim() || null,
+    ability: ability ? toSlug(ability) : null,
+    moves: moves.map(toSlug),
+    item: item ? toSlug(item) : null,
+    nature: nature ? toSlug(nature) : null,
+    evs,
+    ivs
+  };
+
+  if (member.ability && !pokemon.abilities.some(a => a.ability.name === member.ability)) {
+    fail('.ability', `${pokemon.name} cannot have the ability ${member.ability}`);
+  }
+
+  const learnset = new Set(pokemon.moves.map(m => m.move.name));
+  member.moves.forEach((move, i) => {
+    if (member.moves.indexOf(move) !== i) {
+      fail(`.moves[${i}]`, `${move} is listed more than once`);
+    } else if (!learnset.has(move)) {
+      fail(`.moves[${i}]`, `${pokemon.name} cannot learn ${move}`);
+    }
+  });
+
+  if (member.item && !(await itemExists(member.item))) {
+    fail('.item', `Unknown item: ${member.item}`);
+  }
+
+  return { member, errors };
+};
+
+/**
+ * Validates a team body ({ name, members }) and returns it normalized.
+ * Throws a ValidationError listing every problem found.
+ */
+const validateTeam = async (input) => {
+  const { name, members } = input || {};
+  const errors = [];
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `Name is required (max ${MAX_NAME_LENGTH} characters)` });
+  }
+  if (!Array.isArray(members) || members.length > MAX_MEMBERS) {
+    errors.push({ field: 'members', message: `Members must be an array of at most ${MAX_MEMBERS}` });
+    throw new ValidationError('Invalid team', errors);
+  }
+
+  const results = await Promise.all(members.map((m, i) => validateMember(m, `members[${i}]`)));
+  results.forEach(r => errors.push(...r.errors));
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid team', errors);
+  }
+  return { name: name.trim(), members: results.map(r => r.member) };
+};
+
+const toPublicTeam = ({ userId, ...team }) => team;
+
+const listTeams = (userId) => teams.filter(t => t.userId === userId);
+
+/**
+ * One of the user's teams, or null if the user has no such team
+ */
+const getTeam = (userId, id) => {
+  const team = teams.get(id);
+  return team && team.userId === userId ? team : null;
+};
+
+const createTeam = (userId, { name, members }) => {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  return teams.set(id, { id, userId, name, members, createdAt: now, updatedAt: now });
+};
+
+/**
+ * Replaces one of the user's teams. Returns null if the user has no such team.
+ */
+const updateTeam = (userId, id, { name, members }) => {
+  const team = getTeam(userId, id);
+  if (!team) {
+    return null;
+  }
+  return teams.set(id, { ...team, name, members, updatedAt: new Date().toISOString() });
+};
+
+const deleteTeam = (userId, id) => Boolean(getTeam(userId, id)) && teams.delete(id);
+
+/**
+ * Defensive and offensive type analysis of a team.
+ * `sharedWeaknesses`: attacking types two or more members are weak to.
+ * `coverage`: best effectiveness of the team's damaging moves against each
+ * type; members without moves count with their own types.
+ */
+const analyzeTeam = async (team) => {
+  const members = await Promise.all(team.members.map(async (m) => {
+    const pokemon = await getPokemon(m.pokemon.id);
+    const types = pokemon.types.map(t => t.type.name);
+    const moves = await Promise.all(m.moves.map(getMoveDetails));
+    return {
+      pokemon: m.pokemon.name,
+      nickname: m.nickname,
+      types,
+      weaknesses: (await getMatchups(types)).weaknesses.map(w => w.type),
+      attackingTypes: m.moves.length > 0
+        ? moves.filter(move => move.damageClass !== 'status' && move.type).map(move => move.type)
+        : types
+    };
+  }));
+
+  const sharedWeaknesses = TYPES
+    .map(type => ({ type, members: members.filter(m => m.weaknesses.includes(type)).map(m => m.pokemon) }))
+    .filter(w => w.members.length >= 2)
+    .sort((a, b) => b.members.length - a.members.length);
+
+  const attackingTypes = [...new Set(members.flatMap(m => m.attackingTypes))];
+
+  return {
+    members: members.map(({ pokemon, nickname, types, weaknesses }) => ({ pokemon, nickname, types, weaknesses })),
+    sharedWeaknesses,
+    coverage: { attackingTypes, ...await getCoverage(attackingTypes) }
+  };
+};
+
+module.exports = {
+  MAX_MEMBERS,
+  MAX_MOVES,
+  MAX_NAME_LENGTH,
+  MAX_IV,
+  toSlug,
+  validateMember,
+  validateTeam,
+  toPublicTeam,
+  listTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  analyzeTeam
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__teams = teams;
+}
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { issueRefreshToken, rotateRefreshToken, revokeFamily, revokeUserRefreshTokens } = require('./refreshTokens');
+const { revokeToken, isTokenRevoked } = require('./revokedTokens');
+const { findById, updateUser, getRole } = require('./users');
+const { getActiveSigningKey, getVerificationKey, rotateSigningKey } = require('./signingKeys');
+const { createSession, isSessionActive, touchSession, endSession, endSessionsStartedBefore } = require('./sessions');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // seconds
+
+const signAccessToken = (user, { loginTime = new Date().toISOString(), sessionId } = {}) => {
+  const key = getActiveSigningKey(ACCESS_TOKEN_TTL);
+  return jwt.sign(
+    { sub: user.id, username: user.username, role: getRole(user), sid: sessionId, loginTime },
+    key.privateKey,
+    { algorithm: key.alg, keyid: key.id, expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Schedules signing with a new key; tokens signed with the old one stay valid until they expire
+ */
+const rotateKeys = () => rotateSigningKey(ACCESS_TOKEN_TTL);
+
+/**
+ * Creates the signing keys up front, so the JWKS lists them before the first token is issued
+ */
+const ensureSigningKeys = () => {
+  getActiveSigningKey(ACCESS_TOKEN_TTL);
+};
+
+/**
+ * Checks a decoded access token against the revocation list, its session
+ * and the user's "log out everywhere" cutoff. `iat` has one-second
+ * resolution, so the session check is what makes the cutoff exact.
+ */
+const isAccessTokenRevoked = (decoded) => {
+  if (decoded.jti && isTokenRevoked(decoded.jti)) {
+    return true;
+  }
+
+  if (decoded.sid && !isSessionActive(decoded.sid)) {
+    return true;
+  }
+
+  const user = decoded.sub && findById(decoded.sub);
+  if (user?.tokensValidAfter) {
+    return decoded.iat < Math.floor(new Date(user.tokensValidAfter).getTime() / 1000);
+  }
+  return false;
+};
+
+const verifyAccessToken = (token) => {
+  const key = getVerificationKey(jwt.decode(token, { complete: true })?.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  const decoded = jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+  if (isAccessTokenRevoked(decoded)) {
+    throw new jwt.JsonWebTokenError('jwt revoked');
+  }
+  return decoded;
+};
+
+/**
+ * Revokes a single decoded access token until it expires
+ */
+const revokeAccessToken = (decoded) => {
+  if (decoded.jti && decoded.exp) {
+    revokeToken(decoded.jti, decoded.exp);
+  }
+};
+
+/**
+ * Invalidates every access and refresh token issued to a user before the given time
+ */
+const revokeTokensIssuedBefore = (userId, before = new Date()) => {
+  const user = findById(userId);
+  if (!user) return;
+
+  // The cutoff only moves forward
+  if (!user.tokensValidAfter || new Date(user.tokensValidAfter) < before) {
+    updateUser(userId, { tokensValidAfter: before.toISOString() });
+  }
+  endSessionsStartedBefore(userId, before);
+  revokeUserRefreshTokens(userId, before);
+};
+
+/**
+ * Ends a session and revokes its refresh tokens.
+ * With `userId`, only if the session belongs to that user.
+ * Returns false if there was no such active session.
+ */
+const endSessionTokens = (sessionId, userId) => {
+  if (!endSession(sessionId, userId)) {
+    return false;
+  }
+  revokeFamily(sessionId);
+  return true;
+};
+
+/**
+ * Starts a session for a fresh login and issues its access and refresh tokens.
+ * `client` holds the user agent and IP shown in the session list.
+ */
+const issueTokens = (user, client = {}) => {
+  const session = createSession(user.id, client);
+  const loginTime = session.createdAt;
+  return {
+    token: signAccessToken(user, { loginTime, sessionId: session.id }),
+    refreshToken: issueRefreshToken(user.id, { loginTime, familyId: session.id }),
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access and refresh token pair.
+ * Returns null if the refresh token or its session cannot be used.
+ * A reused refresh token ends its session, which also stops the access
+ * tokens issued in it.
+ */
+const exchangeRefreshToken = (refreshToken, { ip } = {}) => {
+  const rotated = rotateRefreshToken(refreshToken);
+  if (!rotated) {
+    return null;
+  }
+
+  if (rotated.reused) {
+    endSession(rotated.familyId);
+    return null;
+  }
+
+  const user = findById(rotated.userId);
+  if (!user || !isSessionActive(rotated.familyId)) {
+    revokeFamily(rotated.familyId);
+    return null;
+  }
+
+  touchSession(rotated.familyId, { ip, extend: true });
+  return {
+    token: signAccessToken(user, { loginTime: rotated.loginTime, sessionId: rotated.familyId }),
+    refreshToken: rotated.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  revokeTokensIssuedBefore,
+  endSessionTokens,
+  rotateKeys,
+  ensureSigningKeys,
+  issueTokens,
+  exchangeRefreshToken
+};
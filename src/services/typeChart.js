@@ -0,0 +1,86 @@
+const axios = require('axios');
+const { POKEAPI_BASE, getCachedOrFetch } = require('./pokeapi');
+
+// Types Pokémon and moves can have
+const TYPES = [
+  'normal', 'fire', 'water', 'electric', 'grass', 'ice', 'fighting', 'poison', 'ground',
+  'flying', 'psychic', 'bug', 'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy'
+];
+
+const toMultipliers = (relations, double, half, none) => Object.fromEntries([
+  ...relations[double].map(t => [t.name, 2]),
+  ...relations[half].map(t => [t.name, 0.5]),
+  ...relations[none].map(t => [t.name, 0])
+]);
+
+/**
+ * Damage multipliers of a type from PokeAPI's damage relations.
+ * `offense`: damage this type deals to each type.
+ * `defense`: damage this type takes from each type.
+ * Types that are not listed are 1×. Returns null for unknown types.
+ */
+const getTypeRelations = async (name) => {
+  try {
+    return await getCachedOrFetch(`type-relations-${name}`, async () => {
+      const response = await axios.get(`${POKEAPI_BASE}/type/${name}`);
+      const relations = response.data.damage_relations;
+      return {
+        name: response.data.name,
+        offense: toMultipliers(relations, 'double_damage_to', 'half_damage_to', 'no_damage_to'),
+        defense: toMultipliers(relations, 'double_damage_from', 'half_damage_from', 'no_damage_from')
+      };
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Combined defensive multipliers of a type combination: the
+ * product of each type's multiplier against every attacking type
+ */
+const getMatchups = async (types) => {
+  const relations = await Promise.all(types.map(getTypeRelations));
+
+  const multipliers = {};
+  relations.filter(Boolean).forEach(({ defense }) => {
+    Object.entries(defense).forEach(([attacker, multiplier]) => {
+      multipliers[attacker] = (multipliers[attacker] ?? 1) * multiplier;
+    });
+  });
+
+  const entries = Object.entries(multipliers)
+    .map(([type, multiplier]) => ({ type, multiplier }))
+    .sort((a, b) => b.multiplier - a.multiplier || a.type.localeCompare(b.type));
+
+  return {
+    weaknesses: entries.filter(e => e.multiplier > 1),
+    resistances: entries
+      .filter(e => e.multiplier > 0 && e.multiplier < 1)
+      .sort((a, b) => a.multiplier - b.multiplier || a.type.localeCompare(b.type)),
+    immunities: entries.filter(e => e.multiplier === 0).map(e => e.type)
+  };
+};
+
+/**
+ * Best multiplier `attackingTypes` reach against each single type,
+ * grouped into superEffective (2×), neutral, notVeryEffective and noEffect
+ */
+const getCoverage = async (attackingTypes) => {
+  const relations = (await Promise.all(attackingTypes.map(getTypeRelations))).filter(Boolean);
+
+  const coverage = { superEffective: [], neutral: [], notVeryEffective: [], noEffect: [] };
+  TYPES.forEach(type => {
+    const best = Math.max(...relations.map(({ offense }) => offense[type] ?? 1));
+    if (relations.length === 0 || best === 0) coverage.noEffect.push(type);
+    else if (best > 1) coverage.superEffective.push(type);
+    else if (best < 1) coverage.notVeryEffective.push(type);
+    else coverage.neutral.push(type);
+  });
+  return coverage;
+};
+
+module.exports = { TYPES, getTypeRelations, getMatchups, getCoverage };
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { createCollection } = require('./fileStore');
+const { hashPassword, verifyPassword } = require('./password');
+const { DEFAULT_ROLE } = require('./roles');
+
+const users = createCollection('users');
+
+// Verified against when the username does not exist, so lookups take the same time
+let dummyHash;
+
+const normalize = (username) => username.trim().toLowerCase();
+
+const findByUsername = (username) =>
+  users.find(u => u.usernameKey === normalize(username));
+
+const findById = (id) => users.get(id);
+
+const findByIdentity = (provider, subject) =>
+  users.find(u => (u.identities || []).some(i => i.provider === provider && i.subject === subject));
+
+/**
+ * Creates a user with a hashed password. Without a password the account
+ * can only sign in through a linked identity provider.
+ * Returns null if the username is already taken.
+ */
+const createUser = async ({ username, password, email = null, role = DEFAULT_ROLE, identities = [] }) => {
+  const passwordHash = password === undefined ? null : await hashPassword(password);
+
+  // Checked after hashing so concurrent registrations cannot both succeed
+  if (findByUsername(username)) {
+    return null;
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username: username.trim(),
+    usernameKey: normalize(username),
+    passwordHash,
+    email,
+    role,
+    identities,
+    createdAt: new Date().toISOString()
+  };
+  return users.set(user.id, user);
+};
+
+/**
+ * Applies changes to a stored user and returns the updated record
+ */
+const updateUser = (id, changes) => {
+  const user = users.get(id);
+  if (!user) {
+    return null;
+  }
+  return users.set(id, { ...user, ...changes });
+};
+
+/**
+ * Links an external identity (provider + subject) to a user
+ */
+const linkIdentity = (id, { provider, subject }) => {
+  const user = users.get(id);
+  if (!user) {
+    return null;
+  }
+  const identities = (user.identities || []).filter(i => i.provider !== provider);
+  return updateUser(id, {
+    identities: [...identities, { provider, subject, linkedAt: new Date().toISOString() }]
+  });
+};
+
+/**
+ * Picks a free username from an identity provider's profile claims
+ */
+const deriveUsername = (candidates) => {
+  const base = (candidates.find(Boolean) || 'trainer')
+    .replace(/[^a-zA-Z0-9_.-]/g, '-')
+    .slice(0, 28)
+    .padEnd(3, '-');
+
+  let username = base;
+  for (let n = 2; findByUsername(username); n++) {
+    username = `${base}-${n}`;
+  }
+  return username;
+};
+
+/**
+ * Returns the user linked to an external identity, creating a
+ * passwordless account on first login
+ */
+const findOrCreateByIdentity = async ({ provider, subject, preferredUsername, email }) => {
+  const existing = findByIdentity(provider, subject);
+  if (existing) {
+    return { user: existing, created: false };
+  }
+
+  const user = await createUser({
+    username: deriveUsername([preferredUsername, email?.split('@')[0], `${provider}-user`]),
+    email: email || null,
+    identities: [{ provider, subject, linkedAt: new Date().toISOString() }]
+  });
+  return { user, created: true };
+};
+
+/**
+ * Replaces a user's password hash
+ */
+const setPassword = async (id, password) => {
+  const passwordHash = await hashPassword(password);
+  return updateUser(id, { passwordHash, passwordChangedAt: new Date().toISOString() });
+};
+
+/**
+ * Returns the user if the credentials match, otherwise null
+ */
+const authenticate = async (username, password) => {
+  const user = findByUsername(username);
+  if (!user) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+  return await verifyPassword(password, user.passwordHash) ? user : null;
+};
+
+const listUsers = () => users.all();
+
+const getRole = (user) => user.role || DEFAULT_ROLE;
+
+/**
+ * Creates the admin account from ADMIN_USERNAME and ADMIN_PASSWORD
+ * if both are set and no user with that name exists yet
+ */
+const seedAdminUser = async () => {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD || findByUsername(ADMIN_USERNAME)) {
+    return null;
+  }
+  return createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+};
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email || null,
+  role: getRole(user),
+  identities: (user.identities || []).map(i => i.provider),
+  createdAt: user.createdAt
+});
+
+module.exports = {
+  findByUsername,
+  findById,
+  findByIdentity,
+  createUser,
+  linkIdentity,
+  findOrCreateByIdentity,
+  updateUser,
+  setPassword,
+  authenticate,
+  listUsers,
+  getRole,
+  seedAdminUser,
+  toPublicUser
+};
+
+// Export store for testing
+if (process.env.NODE_ENV === 'test') {
+  module.exports.__users = users;
+}